@@ -5,6 +5,7 @@
  * - Promise.all(), Promise.race(), Promise.allSettled()
  * - Composición de promesas
  * - Manejo centralizado de errores
+ * - Ciclo de vida: pause / resume / drain / shutdown
  */
 
 import RetryManager from './RetryManager.js';
@@ -12,6 +13,23 @@ import TimeoutController from './TimeoutController.js';
 import RateLimiter from './RateLimiter.js';
 import RequestQueue from './RequestQueue.js';
 import EventEmitter from './EventEmitter.js';
+import CircuitBreaker from './CircuitBreaker.js';
+import RetryBudget from './RetryBudget.js';
+import InterceptorManager from './InterceptorManager.js';
+import ResponseCache from './ResponseCache.js';
+import { AbortError, ShutdownError } from './Errors.js';
+import { BodySerializers, isStreamBody } from './BodySerializers.js';
+import { trackDownload, trackUpload } from './Progress.js';
+import { parseBody, resolveResponseType, SHAREABLE_RESPONSE_TYPES } from './ResponseTypes.js';
+
+const MUTATION_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Opciones por llamada que cambian cómo se ejecuta la petición o qué recibe el llamador:
+// una petición compartida corre con las del primero, así que con ellas no se deduplica
+const PER_CALL_OPTIONS = [
+  'fallback', 'retry', 'backoff', 'onRetry', 'shouldRetry', 'idempotencyKey',
+  'timeout', 'hedge', 'cache', 'maxQueueTime', 'onProgress'
+];
 
 class ApiWrapper extends EventEmitter {
   constructor(options = {}) {
@@ -19,42 +37,342 @@ class ApiWrapper extends EventEmitter {
     
     this.baseURL = options.baseURL || '';
     this.defaultHeaders = options.headers || {};
+    this.onRetry = options.onRetry || null;
+
+    // Cómo leer el body: auto (según Content-Type), json, text, blob, arrayBuffer, stream o raw
+    this.responseType = resolveResponseType(options.responseType);
+    this.fullResponse = options.fullResponse || false; // { data, status, statusText, headers }
+
+    // Cómo enviar el body según su tipo o su Content-Type: api.serializers.register(type, fn)
+    this.serializers = new BodySerializers(options.serializers);
+
+    // Política de reintentos según el método HTTP
+    this.idempotentMethods = options.idempotentMethods || ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+    this.idempotencyHeader = options.idempotencyHeader || 'Idempotency-Key';
+    this.autoIdempotencyKey = options.autoIdempotencyKey || false;
     
+    // Interceptores: api.interceptors.request.use(fn) / api.interceptors.response.use(ok, error)
+    this.interceptors = {
+      request: new InterceptorManager(),
+      response: new InterceptorManager()
+    };
+
+    // Caché de respuestas GET (opcional: se activa con la opción cache)
+    // conditionalRequests sin caché: guardar solo los validadores y revalidar siempre
+    if (options.cache) {
+      this.cache = new ResponseCache(options.cache === true ? {} : options.cache);
+    } else if (options.conditionalRequests) {
+      this.cache = new ResponseCache({ validatorsOnly: true });
+    } else {
+      this.cache = null;
+    }
+
+    // Deduplicación de peticiones idénticas en vuelo (se desactiva con dedupe: false)
+    const dedupe = options.dedupe === false ? null : (options.dedupe === true ? {} : options.dedupe || {});
+    this.dedupe = dedupe && {
+      methods: dedupe.methods || ['GET', 'HEAD'],
+      headers: dedupe.headers || ['accept', 'accept-language', 'authorization'],
+      keyFn: dedupe.keyFn || null
+    };
+    this.inFlight = new Map();
+
+    // Ciclo de vida: running → paused → running, o running → draining → closed
+    this.state = 'running';
+    this.pendingRequests = 0;
+    this.idleWaiters = [];
+    this.shutdownController = new AbortController(); // cancela lo que queda al vencer el plazo de shutdown()
+
+    // Plazo máximo de espera en cola (cola de peticiones + rate limiter)
+    this.maxQueueTime = options.maxQueueTime || null;
+
+    // Hedging: enviar una copia si el primer intento tarda demasiado (opt-in por petición)
+    const hedging = options.hedging || {};
+    this.hedging = {
+      delay: hedging.delay ?? 'p95', // ms o 'p95' de la latencia observada
+      fallbackDelay: hedging.fallbackDelay ?? 1000, // mientras no haya muestras suficientes
+      minSamples: hedging.minSamples ?? 20,
+      maxHedges: hedging.maxHedges ?? 1
+    };
+    this.hedgeBudget = new RetryBudget({ ratio: 0.1, minRetries: 5, ...hedging.budget });
+    this.attemptLatencies = new Map(); // clave de circuito (o host) → latencias
+
+    // Presupuesto de reintentos compartido (se desactiva con retryBudget: false)
+    this.retryBudget = options.retryBudget === false
+      ? null
+      : new RetryBudget(options.retryBudget || {});
+
     // Inicializar componentes
     this.retryManager = new RetryManager({
       maxRetries: options.maxRetries || 3,
       initialDelay: options.initialDelay || 1000,
-      maxDelay: options.maxDelay || 30000
+      maxDelay: options.maxDelay || 30000,
+      backoff: options.backoff,
+      backoffMultiplier: options.backoffMultiplier,
+      retryableErrors: options.retryableErrors,
+      retryOn: options.retryOn,
+      shouldRetry: options.shouldRetry,
+      respectRetryAfter: options.respectRetryAfter,
+      giveUpOnLongRetryAfter: options.giveUpOnLongRetryAfter,
+      maxRetryTime: options.maxRetryTime,
+      retryBudget: this.retryBudget
+    });
+
+    this.retryManager.on('retry', (data) => {
+      this.metrics.retriedRequests++;
+      this.emit('request:retry', data);
+    });
+
+    this.retryManager.on('budget:exhausted', (data) => {
+      this.emit('retry:budget-exhausted', data);
     });
     
     this.timeoutController = new TimeoutController(
       options.timeout || 10000
     );
     
+    // rateLimit: { algorithm, burst, refillRate, rules } (ver RateLimitAlgorithms.js)
     this.rateLimiter = new RateLimiter({
       maxRequests: options.maxRequests || 10,
-      timeWindow: options.timeWindow || 1000
+      timeWindow: options.timeWindow || 1000,
+      aging: options.aging,
+      ...options.rateLimit,
+      onShed: (data) => this.emitShed(data)
     });
     
     this.requestQueue = new RequestQueue({
-      maxConcurrent: options.maxConcurrent || 5
+      maxConcurrent: options.maxConcurrent || 5,
+      bulkheads: options.bulkheads,
+      adaptiveConcurrency: options.adaptiveConcurrency,
+      maxQueueSize: options.maxQueueSize,
+      overflow: options.overflow,
+      blockTimeout: options.blockTimeout,
+      aging: options.aging,
+      onLimitChange: (data) => this.emit('queue:limit', data),
+      onShed: (data) => this.emitShed(data)
     });
     
+    // Circuit breaker por host (se desactiva con circuitBreaker: false)
+    this.circuitBreaker = options.circuitBreaker === false
+      ? null
+      : new CircuitBreaker(options.circuitBreaker || {});
+
+    if (this.circuitBreaker) {
+      ['open', 'half-open', 'close'].forEach(event => {
+        this.circuitBreaker.on(event, (data) => this.emit(`circuit:${event}`, data));
+      });
+    }
+    
     // Métricas
     this.metrics = {
       totalRequests: 0,
       successfulRequests: 0,
       failedRequests: 0,
       retriedRequests: 0,
+      conditionalHits: 0,
+      deduplicatedRequests: 0,
+      hedgedRequests: 0,
+      hedgeWins: 0,
+      degradedRequests: 0,
       averageResponseTime: 0,
-      responseTimes: []
+      averageQueueTime: 0,
+      averageExecutionTime: 0,
+      responseTimes: [],
+      queueTimes: [],
+      executionTimes: []
     };
   }
 
   /**
    * Método principal para hacer peticiones
+   * Durante drain() o tras shutdown() rechaza con ShutdownError
    */
   async request(url, options = {}) {
+    if (this.state === 'draining' || this.state === 'closed') {
+      throw new ShutdownError(this.state);
+    }
+
+    const { signal, release } = this.linkShutdownSignal(options.signal);
+    this.pendingRequests++;
+
+    try {
+      return await this.dispatch(url, { ...options, signal });
+    } finally {
+      release();
+      this.pendingRequests--;
+      this.notifyIdle();
+    }
+  }
+
+  /**
+   * Une el signal del llamador con el de shutdown(): cualquiera de los dos cancela
+   * release() quita los listeners cuando la petición termina
+   */
+  linkShutdownSignal(signal) {
+    const controller = new AbortController();
+    const sources = [signal, this.shutdownController.signal].filter(Boolean);
+    const onAbort = (event) => controller.abort(event.target.reason);
+
+    sources.forEach(source => {
+      if (source.aborted) {
+        controller.abort(source.reason);
+      } else {
+        source.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+
+    return {
+      signal: controller.signal,
+      release: () => sources.forEach(source => source.removeEventListener('abort', onAbort))
+    };
+  }
+
+  /**
+   * Deduplica o ejecuta una petición ya aceptada
+   * Las peticiones seguras idénticas que ya están en vuelo comparten la misma promesa
+   */
+  async dispatch(url, options = {}) {
+    // Ya cancelada: ni crear ni unirse a una petición compartida
+    if (options.signal?.aborted) {
+      throw AbortError.fromSignal(options.signal);
+    }
+
+    const dedupeKey = this.getDedupeKey(url, options);
+
+    if (!dedupeKey) {
+      return this.performRequest(url, options);
+    }
+
+    let entry = this.inFlight.get(dedupeKey);
+
+    if (entry) {
+      this.metrics.deduplicatedRequests++;
+      this.emit('request:deduplicated', {
+        url,
+        method: options.method || 'GET',
+        key: dedupeKey,
+        subscribers: entry.subscribers + 1
+      });
+    } else {
+      // La petición compartida usa su propio signal: solo se aborta
+      // cuando todos los suscriptores han cancelado
+      const controller = new AbortController();
+      entry = { key: dedupeKey, controller, subscribers: 0, settled: false };
+
+      entry.promise = this.performRequest(url, { ...options, signal: controller.signal })
+        .finally(() => {
+          entry.settled = true;
+          if (this.inFlight.get(dedupeKey) === entry) {
+            this.inFlight.delete(dedupeKey);
+          }
+        });
+
+      // Si todos los suscriptores cancelan, nadie más escucha el rechazo
+      entry.promise.catch(() => {});
+
+      this.inFlight.set(dedupeKey, entry);
+    }
+
+    return this.subscribe(entry, options.signal);
+  }
+
+  /**
+   * Variante de la clave de caché: auto (por defecto) no añade nada
+   * text y json guardan datos distintos del mismo recurso
+   */
+  getCacheVariant(responseType) {
+    return responseType === 'auto' ? null : responseType;
+  }
+
+  /**
+   * Clave de deduplicación: método, URL, body y cabeceras relevantes
+   * Retorna null si la petición no se puede compartir
+   */
+  getDedupeKey(url, options) {
+    const method = (options.method || 'GET').toUpperCase();
+
+    if (!this.dedupe || options.dedupe === false || !this.dedupe.methods.includes(method)) {
+      return null;
+    }
+
+    if (PER_CALL_OPTIONS.some(name => options[name] !== undefined)) {
+      return null;
+    }
+
+    // Un stream o una Response sin leer solo los puede consumir un llamador
+    const responseType = options.responseType || this.responseType;
+    if (!SHAREABLE_RESPONSE_TYPES.includes(responseType)) {
+      return null;
+    }
+
+    const headers = { ...this.defaultHeaders, ...options.headers };
+    const variant = `${responseType}${(options.fullResponse ?? this.fullResponse) ? ':full' : ''}`;
+
+    if (this.dedupe.keyFn) {
+      return `${this.dedupe.keyFn(this.baseURL + url, { method, headers, body: options.body })} ${variant}`;
+    }
+
+    const relevantHeaders = this.dedupe.headers
+      .map(name => `${name}=${this.findHeader(headers, name) ?? ''}`)
+      .join('&');
+
+    return `${method} ${this.baseURL + url} ${JSON.stringify(options.body ?? null)} ${relevantHeaders} ${variant}`;
+  }
+
+  /**
+   * Suscribe a un llamador a una petición compartida
+   * Cada llamador puede cancelar con su propio signal sin afectar a los demás
+   */
+  subscribe(entry, signal) {
+    entry.subscribers++;
+
+    return new Promise((resolve, reject) => {
+      let done = false;
+
+      const leave = () => {
+        done = true;
+        signal?.removeEventListener('abort', onAbort);
+        entry.subscribers--;
+      };
+
+      const onAbort = () => {
+        if (done) return;
+        leave();
+
+        // El último suscriptor se fue: abortar la petición de red
+        if (entry.subscribers === 0 && !entry.settled) {
+          this.inFlight.delete(entry.key);
+          entry.controller.abort(signal.reason);
+        }
+
+        reject(AbortError.fromSignal(signal));
+      };
+
+      if (signal?.aborted) {
+        onAbort();
+        return;
+      }
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      entry.promise.then(
+        (result) => {
+          if (done) return;
+          leave();
+          resolve(result);
+        },
+        (error) => {
+          if (done) return;
+          leave();
+          reject(error);
+        }
+      );
+    });
+  }
+
+  /**
+   * Ejecuta una petición completa: caché, cola, rate limit, reintentos y métricas
+   */
+  async performRequest(url, options = {}) {
     const startTime = Date.now();
     const {
       method = 'GET',
@@ -63,9 +381,22 @@ class ApiWrapper extends EventEmitter {
       priority = 0,
       timeout = null,
       retry = true,
+      signal = null,
+      backoff,
+      onRetry = null,
+      shouldRetry,
+      idempotencyKey,
+      hedge = false,
+      fallback,
+      maxQueueTime = this.maxQueueTime,
+      onProgress = null,
+      responseType = this.responseType,
+      fullResponse = this.fullResponse,
       metadata = {}
     } = options;
 
+    resolveResponseType(responseType);
+
     this.metrics.totalRequests++;
     
     const requestMetadata = {
@@ -76,12 +407,108 @@ class ApiWrapper extends EventEmitter {
 
     this.emit('request:start', requestMetadata);
 
+    // Init compartido por todos los intentos: onRetry puede modificarlo
+    const requestInit = {
+      method,
+      headers: { ...this.defaultHeaders, ...headers },
+      body
+    };
+
+    // La misma clave viaja en todos los intentos de esta petición lógica
+    const key = this.resolveIdempotencyKey(method, idempotencyKey, requestInit.headers);
+    if (key) {
+      requestInit.headers[this.idempotencyHeader] = key;
+      requestMetadata.idempotencyKey = key;
+    }
+
+    // POST y PATCH solo se reintentan si hay clave de idempotencia
+    // Un body stream se consume en el primer envío: ni reintentos ni hedging
+    const replayable = !isStreamBody(body);
+    const canRetry = retry && replayable && this.isRetrySafe(method, requestInit.headers);
+
+    // Hedging: solo para peticiones que se pueden repetir sin efectos secundarios
+    const hedgeOptions = hedge && replayable && this.isRetrySafe(method, requestInit.headers)
+      ? this.resolveHedgeOptions(hedge)
+      : null;
+
+    const circuitKey = this.circuitBreaker?.getKey(this.baseURL + url, requestMetadata);
+
+    // Caché: null si la petición no es cacheable (tampoco blob, arrayBuffer, stream o raw)
+    const cacheOptions = SHAREABLE_RESPONSE_TYPES.includes(responseType)
+      ? this.cache?.resolveOptions(this.baseURL + url, method, options.cache, {
+        headers: requestInit.headers,
+        variant: this.getCacheVariant(responseType)
+      }) || null
+      : null;
+    let cached = null;
+    let responseHeaders = null;
+    let finalResponse = null; // status y headers tras los interceptores (para fullResponse)
+    let conditionalEntry = null;
+    let notModified = false;
+    let queueTime = null; // Espera en las colas, separada del tiempo de ejecución
+
+    // Progreso: al callback del llamador y como request:progress (solo si alguien escucha)
+    const reportProgress = onProgress || this.listenerCount('request:progress') > 0
+      ? (progress) => {
+        const data = { ...requestMetadata, ...progress };
+        onProgress?.(data);
+        this.emit('request:progress', data);
+      }
+      : null;
+
     try {
+      if (signal?.aborted) {
+        throw AbortError.fromSignal(signal);
+      }
+
+      if (cacheOptions && !cacheOptions.revalidate) {
+        cached = await this.readFromCache(() => this.cache.lookup(cacheOptions.key));
+
+        if (cached?.state === 'fresh') {
+          return this.completeFromCache(requestMetadata, startTime, cached, 'hit', fullResponse);
+        }
+
+        // Stale-while-revalidate: responder ya y refrescar en segundo plano
+        if (cached?.state === 'stale') {
+          this.revalidateInBackground(url, options, cacheOptions.key);
+          return this.completeFromCache(requestMetadata, startTime, cached, 'stale', fullResponse);
+        }
+
+        this.emit('cache:miss', { ...requestMetadata, key: cacheOptions.key });
+      }
+
+      // Petición condicional: enviar los validadores de la copia guardada
+      if (cacheOptions) {
+        conditionalEntry = cached?.entry || (cacheOptions.revalidate ? await this.readFromCache(() => this.cache.peek(cacheOptions.key)) : null);
+
+        const conditionalHeaders = this.cache.getConditionalHeaders(conditionalEntry);
+        Object.entries(conditionalHeaders).forEach(([name, value]) => {
+          if (!this.findHeader(requestInit.headers, name)) {
+            requestInit.headers[name] = value;
+          }
+        });
+
+        if (Object.keys(conditionalHeaders).length === 0) {
+          conditionalEntry = null;
+        }
+      }
+
+      // Fail fast: si el circuito está abierto no llegamos a encolar
+      this.circuitBreaker?.check(circuitKey);
+
       // Encolar la petición con prioridad
+      // maxQueueTime es un plazo único: el rate limiter recibe lo que queda
+      const enqueuedAt = Date.now();
       const result = await this.requestQueue.enqueue(
-        async ({ id }) => {
+        async ({ id, onProgress: queueProgress, recordSample }) => {
+          const remainingQueueTime = maxQueueTime
+            ? Math.max(1, enqueuedAt + maxQueueTime - Date.now())
+            : null;
+
           // Aplicar rate limiting
           return await this.rateLimiter.throttle(async () => {
+            queueTime = Date.now() - enqueuedAt;
+
             // Función que ejecutará el retry manager
             const executeFetch = async (attemptNumber) => {
               this.emit('request:attempt', {
@@ -89,64 +516,152 @@ class ApiWrapper extends EventEmitter {
                 attempt: attemptNumber
               });
 
-              // Crear la petición con timeout
-              const fetchWithTimeout = (signal) => {
-                return fetch(this.baseURL + url, {
-                  method,
-                  headers: { ...this.defaultHeaders, ...headers },
-                  body: body ? JSON.stringify(body) : null,
-                  signal
-                });
+              const context = { metadata: requestMetadata, attempt: attemptNumber };
+
+              // Config de este intento: los interceptores de request pueden reescribirla
+              const config = await this.interceptors.request.run(Promise.resolve({
+                url: this.baseURL + url,
+                method: requestInit.method,
+                headers: { ...requestInit.headers },
+                body: requestInit.body,
+                metadata: requestMetadata,
+                attempt: attemptNumber
+              }), context);
+
+              const sendOptions = {
+                timeout,
+                signal,
+                circuitKey,
+                allowNotModified: Boolean(conditionalEntry),
+                onProgress: queueProgress && ((progress) => queueProgress({ id, ...progress })),
+                recordSample,
+                // Subir como stream cambia lo que se envía: solo si el llamador lo pide
+                trackUploads: Boolean(onProgress)
               };
 
-              const response = await this.timeoutController.executeWithTimeout(
-                fetchWithTimeout,
-                timeout || this.timeoutController.defaultTimeout
-              );
+              const sent = hedgeOptions
+                ? this.sendHedged(config, sendOptions, hedgeOptions, { priority, metadata: requestMetadata })
+                : this.sendRequest(config, sendOptions);
+
+              const outcome = sent.then(async (response) => {
+                // 304: el body guardado sigue siendo válido
+                notModified = response.status === 304;
 
-              if (!response.ok) {
-                const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
-                error.status = response.status;
-                error.response = response;
-                throw error;
-              }
+                return {
+                  data: notModified ? conditionalEntry.data : await parseBody(response, responseType),
+                  status: response.status,
+                  statusText: response.statusText,
+                  headers: response.headers,
+                  response,
+                  config
+                };
+              });
 
-              return await response.json();
+              // Los interceptores de response pueden transformar el resultado
+              // o convertir un error en resultado
+              const final = await this.interceptors.response.run(outcome, context);
+              responseHeaders = final?.headers || null;
+              finalResponse = final;
+              return final?.data;
             };
 
-            // Ejecutar con reintentos si está habilitado
-            if (retry) {
+            // Ejecutar con reintentos si está habilitado y es seguro
+            if (canRetry) {
               return await this.retryManager.executeWithRetry(
                 executeFetch,
-                requestMetadata
+                requestMetadata,
+                {
+                  signal,
+                  backoff,
+                  shouldRetry,
+                  onRetry: (error, attempt) => this.runRetryHooks(onRetry, error, attempt, requestInit)
+                }
               );
             } else {
               return await executeFetch(0);
             }
-          }, priority);
+          }, priority, {
+            signal,
+            url: this.baseURL + url,
+            metadata: requestMetadata,
+            maxQueueTime: remainingQueueTime
+          });
         },
-        { priority, metadata: requestMetadata }
+        {
+          priority,
+          metadata: requestMetadata,
+          signal,
+          url: this.baseURL + url,
+          maxQueueTime,
+          onProgress: reportProgress
+        }
       );
 
+      // En auto un body binario llega como Blob: no se guarda en caché
+      if (cacheOptions && !(typeof Blob !== 'undefined' && result instanceof Blob)) {
+        await this.storeInCache(cacheOptions, result, responseHeaders, conditionalEntry);
+
+        if (notModified) {
+          this.metrics.conditionalHits++;
+          this.emit('cache:not-modified', { ...requestMetadata, key: cacheOptions.key });
+        }
+      } else if (this.cache?.invalidateOnMutation && MUTATION_METHODS.includes(method.toUpperCase())) {
+        await this.invalidateAfterMutation(this.baseURL + url);
+      }
+
       // Petición exitosa
       const responseTime = Date.now() - startTime;
-      this.updateMetrics(responseTime, true);
+      this.updateMetrics(responseTime, true, false, queueTime);
       
       this.emit('request:success', {
         ...requestMetadata,
         responseTime,
-        result
+        ...this.splitTimes(responseTime, queueTime),
+        result,
+        notModified
       });
 
-      return result;
+      return this.toResult(result, fullResponse, finalResponse);
 
     } catch (error) {
+      // Stale-if-error: agotados los reintentos, servir la copia caducada
+      if (cacheOptions && !error.aborted && this.cache.canServeStaleOnError(cached)) {
+        this.cache.stats.staleIfErrorHits++;
+        return this.completeFromCache(requestMetadata, startTime, cached, 'stale-if-error', fullResponse);
+      }
+
+      // Fallback: agotados los reintentos, servir un valor alternativo (degradado)
+      if (fallback !== undefined && fallback !== null && !error.aborted) {
+        const served = await this.resolveFallback(fallback, error, url, options, cacheOptions);
+
+        if (served) {
+          const responseTime = Date.now() - startTime;
+          this.updateMetrics(responseTime, true, true, queueTime);
+
+          this.emit('request:success', {
+            ...requestMetadata,
+            responseTime,
+            ...this.splitTimes(responseTime, queueTime),
+            result: served.value,
+            fromFallback: true,
+            fallbackSource: served.source,
+            error: error.message
+          });
+
+          return this.toResult(served.value, fullResponse, null, {
+            fromFallback: true,
+            fallbackSource: served.source
+          });
+        }
+      }
+
       const responseTime = Date.now() - startTime;
-      this.updateMetrics(responseTime, false);
+      this.updateMetrics(responseTime, false, false, queueTime);
       
       this.emit('request:error', {
         ...requestMetadata,
         responseTime,
+        ...this.splitTimes(responseTime, queueTime),
         error: error.message
       });
 
@@ -154,6 +669,524 @@ class ApiWrapper extends EventEmitter {
     }
   }
 
+  /**
+   * Una cola llena descartó una petición
+   */
+  emitShed({ queue, policy, priority, metadata, error }) {
+    this.emit('request:shed', {
+      ...metadata,
+      queue,
+      policy,
+      priority,
+      error: error.message
+    });
+  }
+
+  /**
+   * Completa una petición con datos de la caché
+   * @param {string} cacheState - 'hit', 'stale' o 'stale-if-error'
+   */
+  completeFromCache(requestMetadata, startTime, cached, cacheState, fullResponse = false) {
+    const responseTime = Date.now() - startTime;
+    const event = cacheState === 'hit' ? 'cache:hit' : `cache:${cacheState}`;
+
+    this.emit(event, { ...requestMetadata, age: cached.age });
+    this.updateMetrics(responseTime, true);
+
+    this.emit('request:success', {
+      ...requestMetadata,
+      responseTime,
+      result: cached.entry.data,
+      fromCache: true,
+      cacheState
+    });
+
+    // La caché no guarda las cabeceras: solo los validadores
+    const { etag, lastModified } = cached.entry;
+    const headers = new Headers();
+    if (etag) headers.set('etag', etag);
+    if (lastModified) headers.set('last-modified', lastModified);
+
+    return this.toResult(cached.entry.data, fullResponse, { status: 200, statusText: 'OK', headers }, {
+      fromCache: true,
+      cacheState
+    });
+  }
+
+  /**
+   * Lo que recibe el llamador: el body o, con fullResponse, { data, status, statusText, headers }
+   * source es la respuesta tras los interceptores; null si el dato no vino de la red (fallback)
+   */
+  toResult(data, fullResponse, source = null, extra = {}) {
+    if (!fullResponse) return data;
+
+    return {
+      data,
+      status: source?.status ?? null,
+      statusText: source?.statusText ?? '',
+      headers: source?.headers ?? new Headers(),
+      ...extra
+    };
+  }
+
+  /**
+   * Recorre la cadena de fallbacks en orden hasta que uno da un valor
+   * Cada paso puede ser:
+   * - función (error, metadata) => valor
+   * - { value }: valor estático
+   * - { url } / { urls }: otras URLs (mirrors), con las mismas opciones
+   * - { cache: true }: última copia en caché, aunque haya caducado
+   * - cualquier otro valor: se usa tal cual
+   * Un array es una cadena de pasos
+   * @returns {{ value, source } | null} null si ningún paso sirvió
+   */
+  async resolveFallback(fallback, error, url, options, cacheOptions) {
+    const steps = Array.isArray(fallback) ? fallback : [fallback];
+    const metadata = { url, method: options.method || 'GET' };
+
+    for (const step of steps) {
+      try {
+        if (typeof step === 'function') {
+          return { value: await step(error, metadata), source: 'function' };
+        }
+
+        if (step === null || typeof step !== 'object') {
+          return { value: step, source: 'value' };
+        }
+
+        if ('value' in step) {
+          return { value: step.value, source: 'value' };
+        }
+
+        if (step.url || step.urls) {
+          const urls = step.urls || [step.url];
+
+          for (const mirror of urls) {
+            try {
+              // Parte de una petición ya aceptada: también durante drain()
+              const value = await this.dispatch(mirror, { ...options, fallback: null, fullResponse: false });
+              return { value, source: 'url', url: mirror };
+            } catch (mirrorError) {
+              if (mirrorError.aborted) throw mirrorError;
+            }
+          }
+
+          continue;
+        }
+
+        if (step.cache) {
+          const key = cacheOptions?.key || this.cache?.getKey(
+            this.baseURL + url,
+            { ...this.defaultHeaders, ...options.headers },
+            this.getCacheVariant(options.responseType || this.responseType)
+          );
+          const entry = key ? await this.cache?.peek(key) : null;
+
+          if (entry) {
+            return { value: entry.data, source: 'cache' };
+          }
+
+          continue;
+        }
+
+        return { value: step, source: 'value' };
+      } catch (stepError) {
+        // Cancelado por el llamador: no seguir con la cadena
+        if (stepError.aborted) throw stepError;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Refresca una entrada sin bloquear al llamador
+   * Solo una revalidación a la vez por clave
+   */
+  revalidateInBackground(url, options, key) {
+    if (this.cache.revalidating.has(key)) return;
+
+    this.cache.revalidating.add(key);
+
+    const requestCache = typeof options.cache === 'object' ? options.cache : {};
+
+    this.request(url, {
+      ...options,
+      signal: null, // El llamador ya tiene su respuesta
+      cache: { ...requestCache, key, revalidate: true }
+    })
+      .catch(() => {
+        // El error ya se emitió como request:error
+      })
+      .finally(() => this.cache.revalidating.delete(key));
+  }
+
+  /**
+   * Lee de la caché sin que un fallo del almacenamiento rompa la petición: cuenta como miss
+   */
+  async readFromCache(read) {
+    try {
+      return await read();
+    } catch (error) {
+      console.warn('⚠️ No se pudo leer la caché:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Guarda en caché sin que un fallo del almacenamiento rompa la petición
+   */
+  async storeInCache(cacheOptions, data, headers, previousEntry = null) {
+    try {
+      await this.cache.store(cacheOptions.key, data, headers, cacheOptions, previousEntry);
+    } catch (error) {
+      console.warn('⚠️ No se pudo guardar en caché:', error.message);
+    }
+  }
+
+  /**
+   * Tras un POST/PUT/PATCH/DELETE invalida el recurso y su colección
+   */
+  async invalidateAfterMutation(url) {
+    try {
+      const prefixes = this.cache.getMutationPrefixes(url);
+      await Promise.all(prefixes.map(prefix => this.cache.invalidatePrefix(prefix)));
+    } catch (error) {
+      console.warn('⚠️ No se pudo invalidar la caché:', error.message);
+    }
+  }
+
+  /**
+   * Busca una cabecera sin distinguir mayúsculas
+   */
+  findHeader(headers, name) {
+    const match = Object.keys(headers).find(h => h.toLowerCase() === name.toLowerCase());
+    return match ? headers[match] : undefined;
+  }
+
+  /**
+   * Decide la clave de idempotencia de una petición
+   * - string: se usa tal cual
+   * - true: se genera una
+   * - false: ninguna
+   * - sin indicar: se genera para POST/PATCH si autoIdempotencyKey está activo
+   */
+  resolveIdempotencyKey(method, idempotencyKey, headers) {
+    if (this.findHeader(headers, this.idempotencyHeader)) return null; // Ya viene en los headers
+    if (idempotencyKey === false) return null;
+    if (typeof idempotencyKey === 'string') return idempotencyKey;
+
+    const isIdempotent = this.idempotentMethods.includes(method.toUpperCase());
+
+    if (idempotencyKey === true || (this.autoIdempotencyKey && !isIdempotent)) {
+      return this.generateIdempotencyKey();
+    }
+
+    return null;
+  }
+
+  /**
+   * Genera una clave de idempotencia única
+   */
+  generateIdempotencyKey() {
+    if (globalThis.crypto?.randomUUID) {
+      return globalThis.crypto.randomUUID();
+    }
+
+    return `idem_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Un método idempotente siempre se puede reintentar;
+   * el resto solo si lleva clave de idempotencia
+   */
+  isRetrySafe(method, headers) {
+    return this.idempotentMethods.includes(method.toUpperCase()) ||
+      Boolean(this.findHeader(headers, this.idempotencyHeader));
+  }
+
+  /**
+   * Combina las opciones de hedging del wrapper con las de la petición
+   */
+  resolveHedgeOptions(hedge) {
+    return { ...this.hedging, ...(typeof hedge === 'object' ? hedge : {}) };
+  }
+
+  /**
+   * Clave de las latencias: la del circuito o, sin circuit breaker, el host
+   * Cada backend tiene su propia cola de latencias: un host lento no mueve el p95 de otro
+   */
+  getLatencyKey(url, circuitKey) {
+    return circuitKey ?? CircuitBreaker.hostKey(url);
+  }
+
+  /**
+   * Registra la latencia de un intento de red (últimas 100 mediciones por clave)
+   */
+  recordLatency(key, latency) {
+    if (!this.attemptLatencies.has(key)) {
+      this.attemptLatencies.set(key, []);
+    }
+
+    const latencies = this.attemptLatencies.get(key);
+    latencies.push(latency);
+
+    if (latencies.length > 100) {
+      latencies.shift();
+    }
+  }
+
+  /**
+   * Percentil de la latencia observada de una clave, null sin mediciones
+   */
+  getLatencyPercentile(percentile, key) {
+    const latencies = this.attemptLatencies.get(key) || [];
+    if (latencies.length === 0) return null;
+
+    const sorted = [...latencies].sort((a, b) => a - b);
+    const index = Math.ceil((percentile / 100) * sorted.length) - 1;
+
+    return sorted[Math.max(0, index)];
+  }
+
+  /**
+   * Espera antes de enviar una copia: fija o el p95 observado en esa clave
+   */
+  getHedgeDelay(hedge, key) {
+    if (typeof hedge.delay === 'number') return hedge.delay;
+
+    if ((this.attemptLatencies.get(key)?.length || 0) < hedge.minSamples) {
+      return hedge.fallbackDelay;
+    }
+
+    return this.getLatencyPercentile(95, key);
+  }
+
+  /**
+   * Envía un intento con hedging
+   * Si no responde en el umbral se envía una copia (pasando por el rate limiter
+   * y con su propio presupuesto). Gana la primera respuesta exitosa y las demás
+   * copias se cancelan con el TimeoutController.
+   */
+  sendHedged(config, sendOptions, hedge, { priority, metadata }) {
+    // Respuesta sintética de un interceptor: no hay red que duplicar
+    if (config.response) {
+      return this.sendRequest(config, sendOptions);
+    }
+
+    const { signal, circuitKey } = sendOptions;
+    const delay = this.getHedgeDelay(hedge, this.getLatencyKey(config.url, circuitKey));
+
+    this.hedgeBudget.recordRequest();
+
+    return new Promise((resolve, reject) => {
+      const copies = [];
+      let settled = false;
+      let pending = 0;
+      let timer = null;
+      let firstError = null;
+
+      // Cancela las copias perdedoras: en vuelo o esperando al rate limiter
+      const abortCopies = (winner) => {
+        copies.filter(copy => copy !== winner).forEach(copy => {
+          copy.controller.abort(new AbortError('Hedged request lost'));
+          this.timeoutController.abort(copy.id, 'Hedged request lost');
+        });
+      };
+
+      const settle = (callback, value) => {
+        settled = true;
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        callback(value);
+      };
+
+      const onAbort = () => {
+        if (settled) return;
+        abortCopies(null);
+        settle(reject, AbortError.fromSignal(signal));
+      };
+
+      const launch = () => {
+        const copy = {
+          index: copies.length,
+          id: this.timeoutController.generateId(),
+          controller: new AbortController()
+        };
+        copies.push(copy);
+        pending++;
+
+        const send = () => this.sendRequest(config, { ...sendOptions, requestId: copy.id });
+
+        // El intento original ya tiene su hueco; las copias cuentan contra el rate limiter
+        const promise = copy.index === 0
+          ? send()
+          : this.rateLimiter.throttle(send, priority, { signal: copy.controller.signal, url: config.url, metadata });
+
+        promise.then(
+          (response) => {
+            pending--;
+            if (settled) return;
+
+            if (copy.index > 0) {
+              this.metrics.hedgeWins++;
+              this.emit('request:hedge-won', { ...metadata, hedge: copy.index });
+            }
+
+            abortCopies(copy);
+            settle(resolve, response);
+          },
+          (error) => {
+            pending--;
+            if (settled) return;
+
+            firstError = firstError || error;
+
+            // Sin copias en vuelo ni pendientes: el intento falla (y decide el retry manager)
+            if (pending === 0) {
+              abortCopies(null);
+              settle(reject, firstError);
+            }
+          }
+        );
+      };
+
+      const scheduleHedge = () => {
+        timer = setTimeout(() => {
+          if (settled || copies.length > hedge.maxHedges) return;
+
+          if (!this.hedgeBudget.tryAcquire()) {
+            this.emit('hedge:budget-exhausted', metadata);
+            return;
+          }
+
+          this.metrics.hedgedRequests++;
+          this.emit('request:hedge', { ...metadata, hedge: copies.length, delay });
+          launch();
+
+          if (copies.length <= hedge.maxHedges) {
+            scheduleHedge();
+          }
+        }, delay);
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      launch();
+      scheduleHedge();
+    });
+  }
+
+  /**
+   * Lee el body de una respuesta de error sin consumir el original
+   * Permite a shouldRetry decidir según el payload (ej: un código de error JSON)
+   */
+  async parseErrorBody(response) {
+    try {
+      const clone = response.clone();
+      const contentType = clone.headers.get('content-type') || '';
+
+      return contentType.includes('json') ? await clone.json() : await clone.text();
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Envía un intento: respuesta sintética de un interceptor o fetch con timeout
+   * Registra el resultado en el circuit breaker
+   */
+  async sendRequest(config, { timeout, signal, circuitKey, allowNotModified = false, requestId = null, onProgress = null, trackUploads = false, recordSample = null }) {
+    // Un interceptor respondió sin salir a la red
+    if (config.response) {
+      return await this.checkResponse(config.response, allowNotModified);
+    }
+
+    // Serializar antes de pedir permiso: un body inválido no es un fallo del servidor
+    const { body, headers } = this.serializers.serialize(config.body, config.headers);
+
+    // Cada intento pide permiso al circuit breaker
+    this.circuitBreaker?.acquire(circuitKey);
+
+    // Crear la petición con timeout
+    // Con trackUploads el body sube como stream (si el runtime lo soporta) para contar bytes
+    const fetchWithTimeout = (fetchSignal) => {
+      const sentBody = (body && onProgress && trackUploads ? trackUpload(body, onProgress) : null) || body;
+
+      return fetch(config.url, {
+        method: config.method,
+        headers,
+        body: sentBody,
+        ...(isStreamBody(sentBody) && { duplex: 'half' }),
+        signal: fetchSignal
+      });
+    };
+
+    const startTime = Date.now();
+    let response;
+    try {
+      response = await this.timeoutController.executeWithTimeout(
+        fetchWithTimeout,
+        timeout || this.timeoutController.defaultTimeout,
+        signal,
+        requestId
+      );
+
+      // Ajustar el rate limiter con la cuota que anuncia el servidor
+      const rateLimit = this.rateLimiter.updateFromResponse(config.url, response);
+      if (rateLimit?.blockedFor) {
+        this.emit('ratelimit:blocked', { ...config.metadata, ...rateLimit });
+      }
+
+      await this.checkResponse(response, allowNotModified);
+      this.recordLatency(this.getLatencyKey(config.url, circuitKey), Date.now() - startTime);
+      recordSample?.(Date.now() - startTime);
+    } catch (error) {
+      this.circuitBreaker?.onFailure(circuitKey, error);
+
+      // Un intento cancelado no dice nada de la latencia del backend
+      if (!error.aborted) {
+        recordSample?.(Date.now() - startTime, error);
+      }
+      throw error;
+    }
+
+    this.circuitBreaker?.onSuccess(circuitKey);
+
+    // El progreso de descarga se cuenta según se lee el body
+    return onProgress ? trackDownload(response, onProgress) : response;
+  }
+
+  /**
+   * Lanza un error HTTP si la respuesta no es ok
+   * Un 304 es válido cuando enviamos cabeceras condicionales
+   */
+  async checkResponse(response, allowNotModified = false) {
+    if (!response.ok && !(allowNotModified && response.status === 304)) {
+      const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+      error.status = response.status;
+      error.response = response;
+      error.data = await this.parseErrorBody(response);
+      throw error;
+    }
+
+    return response;
+  }
+
+  /**
+   * Ejecuta los hooks onRetry (primero el del wrapper, luego el de la petición)
+   * Ambos reciben el mismo requestInit y pueden cambiar headers o body
+   */
+  async runRetryHooks(requestHook, error, attempt, requestInit) {
+    if (this.onRetry) {
+      await this.onRetry(error, attempt, requestInit);
+    }
+
+    if (requestHook) {
+      await requestHook(error, attempt, requestInit);
+    }
+  }
+
   /**
    * GET request
    */
@@ -175,6 +1208,13 @@ class ApiWrapper extends EventEmitter {
     return this.request(url, { ...options, method: 'PUT', body });
   }
 
+  /**
+   * PATCH request
+   */
+  async patch(url, body, options = {}) {
+    return this.request(url, { ...options, method: 'PATCH', body });
+  }
+
   /**
    * DELETE request
    */
@@ -269,23 +1309,47 @@ class ApiWrapper extends EventEmitter {
   }
 
   /**
-   * Actualiza métricas
+   * Separa el tiempo de respuesta en espera en cola y ejecución
+   * null si la petición no pasó por las colas (caché, fail fast...)
    */
-  updateMetrics(responseTime, success) {
-    this.metrics.responseTimes.push(responseTime);
-    
+  splitTimes(responseTime, queueTime) {
+    return {
+      queueTime,
+      executionTime: queueTime === null ? null : responseTime - queueTime
+    };
+  }
+
+  /**
+   * Añade una medición a una serie (últimas 100) y retorna su promedio
+   */
+  pushTiming(series, value) {
+    series.push(value);
+
     // Mantener solo las últimas 100 mediciones
-    if (this.metrics.responseTimes.length > 100) {
-      this.metrics.responseTimes.shift();
+    if (series.length > 100) {
+      series.shift();
+    }
+
+    return Math.round(series.reduce((a, b) => a + b, 0) / series.length);
+  }
+
+  /**
+   * Actualiza métricas
+   * Las respuestas de un fallback cuentan como degradadas, no como exitosas
+   * @param {number} queueTime - Espera en cola (null si no pasó por las colas)
+   */
+  updateMetrics(responseTime, success, degraded = false, queueTime = null) {
+    this.metrics.averageResponseTime = this.pushTiming(this.metrics.responseTimes, responseTime);
+
+    if (queueTime !== null) {
+      const { executionTime } = this.splitTimes(responseTime, queueTime);
+      this.metrics.averageQueueTime = this.pushTiming(this.metrics.queueTimes, queueTime);
+      this.metrics.averageExecutionTime = this.pushTiming(this.metrics.executionTimes, executionTime);
     }
     
-    // Calcular promedio
-    const sum = this.metrics.responseTimes.reduce((a, b) => a + b, 0);
-    this.metrics.averageResponseTime = Math.round(
-      sum / this.metrics.responseTimes.length
-    );
-    
-    if (success) {
+    if (degraded) {
+      this.metrics.degradedRequests++;
+    } else if (success) {
       this.metrics.successfulRequests++;
     } else {
       this.metrics.failedRequests++;
@@ -302,7 +1366,14 @@ class ApiWrapper extends EventEmitter {
       ...this.metrics,
       rateLimiter: this.rateLimiter.getStats(),
       queue: this.requestQueue.getStatus(),
-      timeout: this.timeoutController.getStats()
+      timeout: this.timeoutController.getStats(),
+      circuitBreaker: this.circuitBreaker ? this.circuitBreaker.getStats() : null,
+      retryBudget: this.retryBudget ? this.retryBudget.getStats() : null,
+      cache: this.cache ? this.cache.getStats() : null,
+      hedging: {
+        p95: Object.fromEntries([...this.attemptLatencies.keys()].map(key => [key, this.getLatencyPercentile(95, key)])),
+        budget: this.hedgeBudget.getStats()
+      }
     };
   }
 
@@ -317,6 +1388,122 @@ class ApiWrapper extends EventEmitter {
     this.emit('cancelAll');
   }
 
+  /**
+   * Cambia de estado y emite lifecycle:<event>
+   */
+  setState(state, event, data = {}) {
+    const previous = this.state;
+    this.state = state;
+
+    this.emit(`lifecycle:${event}`, {
+      state,
+      previous,
+      pending: this.pendingRequests,
+      ...data
+    });
+  }
+
+  /**
+   * Pausa el despacho: las peticiones nuevas se aceptan pero esperan en cola
+   * Las que ya están en la red siguen su curso
+   */
+  pause() {
+    if (this.state !== 'running') return;
+
+    this.requestQueue.pause();
+    this.rateLimiter.pause();
+    this.setState('paused', 'paused');
+  }
+
+  /**
+   * Reanuda el despacho tras pause()
+   */
+  resume() {
+    if (this.state !== 'paused') return;
+
+    this.setState('running', 'resumed');
+    this.requestQueue.resume();
+    this.rateLimiter.resume();
+  }
+
+  /**
+   * Se resuelve cuando la cola de peticiones se vacía (puede haber peticiones en la red)
+   */
+  onEmpty() {
+    return this.requestQueue.onEmpty();
+  }
+
+  /**
+   * Se resuelve cuando no queda ninguna petición pendiente
+   * (en cola, en el rate limiter, en la red, esperando un reintento o un fallback)
+   */
+  onIdle() {
+    if (this.pendingRequests === 0) return Promise.resolve();
+
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  /**
+   * Resuelve las promesas de onIdle() si ya no queda nada pendiente
+   */
+  notifyIdle() {
+    if (this.pendingRequests === 0) {
+      this.idleWaiters.splice(0).forEach(resolve => resolve());
+    }
+  }
+
+  /**
+   * Deja de aceptar peticiones y espera a que terminen las aceptadas
+   * Si estaba en pausa reanuda el despacho: lo aceptado tiene que poder salir
+   */
+  async drain() {
+    if (this.state === 'closed') return;
+
+    if (this.state !== 'draining') {
+      this.requestQueue.resume();
+      this.rateLimiter.resume();
+      this.setState('draining', 'draining');
+    }
+
+    await this.onIdle();
+
+    if (this.state === 'draining') {
+      this.setState('closed', 'drained');
+    }
+  }
+
+  /**
+   * Cierre ordenado: drain() y, si al vencer `deadline` (ms) queda algo, lo cancela
+   * @returns {{ graceful: boolean, cancelled: number }} graceful: terminó todo sin cancelar
+   */
+  async shutdown({ deadline = null } = {}) {
+    if (this.state === 'closed') return { graceful: true, cancelled: 0 };
+
+    const draining = this.drain();
+    let graceful = true;
+    let cancelled = 0;
+
+    if (deadline !== null) {
+      let timer;
+      const expired = new Promise(resolve => {
+        timer = setTimeout(() => resolve(true), deadline);
+      });
+
+      graceful = !(await Promise.race([draining.then(() => false), expired]));
+      clearTimeout(timer);
+
+      if (!graceful) {
+        cancelled = this.pendingRequests;
+        this.shutdownController.abort(new AbortError(`Shutdown deadline of ${deadline}ms exceeded`));
+      }
+    }
+
+    await draining;
+
+    this.emit('lifecycle:shutdown', { state: this.state, graceful, cancelled });
+    return { graceful, cancelled };
+  }
+
   /**
    * Resetea todas las métricas
    */
@@ -326,11 +1513,21 @@ class ApiWrapper extends EventEmitter {
       successfulRequests: 0,
       failedRequests: 0,
       retriedRequests: 0,
+      conditionalHits: 0,
+      deduplicatedRequests: 0,
+      hedgedRequests: 0,
+      hedgeWins: 0,
+      degradedRequests: 0,
       averageResponseTime: 0,
-      responseTimes: []
+      averageQueueTime: 0,
+      averageExecutionTime: 0,
+      responseTimes: [],
+      queueTimes: [],
+      executionTimes: []
     };
     
     this.requestQueue.resetStats();
+    this.cache?.resetStats();
     this.emit('metrics:reset');
   }
 }
@@ -0,0 +1,116 @@
+/**
+ * BodySerializers - Cómo enviar el body de una petición
+ *
+ * Conceptos clave:
+ * - Tipos que fetch ya sabe enviar: FormData, URLSearchParams, Blob, ArrayBuffer, streams
+ * - Content-Type según el body; con FormData lo pone el runtime (boundary del multipart)
+ * - Registro de serializers por Content-Type (msgpack, NDJSON...)
+ */
+
+import { SerializationError } from './Errors.js';
+
+const FORM_URLENCODED = 'application/x-www-form-urlencoded;charset=UTF-8';
+
+/**
+ * instanceof seguro para clases que no existen en todos los runtimes
+ */
+const isInstance = (value, name) => typeof globalThis[name] === 'function' && value instanceof globalThis[name];
+
+/**
+ * Tipo de medio sin parámetros: 'application/json; charset=utf-8' → 'application/json'
+ */
+const mediaType = contentType => contentType.split(';')[0].trim().toLowerCase();
+
+/**
+ * Un body stream se consume al enviarlo: no se puede reenviar (reintentos, hedging)
+ * y fetch exige duplex: 'half'
+ */
+export function isStreamBody(body) {
+  return isInstance(body, 'ReadableStream');
+}
+
+export class BodySerializers {
+  constructor(serializers = {}) {
+    this.serializers = new Map();
+
+    this.register('application/json', body => JSON.stringify(body));
+    Object.entries(serializers).forEach(([contentType, serialize]) => this.register(contentType, serialize));
+  }
+
+  /**
+   * Registra un serializer: (body) => string | Blob | ArrayBuffer | Uint8Array...
+   */
+  register(contentType, serialize) {
+    this.serializers.set(mediaType(contentType), serialize);
+    return this;
+  }
+
+  unregister(contentType) {
+    return this.serializers.delete(mediaType(contentType));
+  }
+
+  /**
+   * Serializer de un Content-Type: exacto o por sufijo (+json usa el de application/json)
+   */
+  get(contentType) {
+    const type = mediaType(contentType);
+    if (this.serializers.has(type)) return this.serializers.get(type);
+
+    const suffix = type.match(/\+(\w+)$/);
+    return suffix ? this.serializers.get(`application/${suffix[1]}`) || null : null;
+  }
+
+  /**
+   * Prepara body y cabeceras para fetch
+   * - FormData: tal cual y sin Content-Type (el runtime añade el boundary)
+   * - URLSearchParams: tal cual, como formulario
+   * - Blob: tal cual, con su type si lo tiene
+   * - string, ArrayBuffer, vistas binarias y streams: tal cual
+   * - resto (objetos, arrays...): el serializer de su Content-Type; sin cabecera, JSON
+   * @returns {{ body, headers }} headers es una copia: no se modifica el original
+   */
+  serialize(body, headers = {}) {
+    const contentTypeHeader = Object.keys(headers).find(name => name.toLowerCase() === 'content-type');
+    const contentType = contentTypeHeader ? headers[contentTypeHeader] : null;
+    const result = { ...headers };
+
+    if (contentTypeHeader) {
+      delete result[contentTypeHeader];
+    }
+
+    const withType = (type) => (type ? { ...result, 'Content-Type': type } : result);
+
+    if (body === null || body === undefined) {
+      return { body: null, headers };
+    }
+
+    if (isInstance(body, 'FormData')) {
+      return { body, headers: result };
+    }
+
+    if (isInstance(body, 'URLSearchParams')) {
+      return { body, headers: withType(FORM_URLENCODED) };
+    }
+
+    if (isInstance(body, 'Blob')) {
+      return { body, headers: withType(body.type || contentType) };
+    }
+
+    if (typeof body === 'string' || body instanceof ArrayBuffer || ArrayBuffer.isView(body) || isInstance(body, 'ReadableStream')) {
+      return { body, headers };
+    }
+
+    const type = contentType ? mediaType(contentType) : 'application/json';
+    const serialize = this.get(type);
+
+    if (!serialize) {
+      throw new SerializationError(type);
+    }
+
+    try {
+      return { body: serialize(body), headers: contentType ? headers : withType(type) };
+    } catch (error) {
+      throw new SerializationError(type, error);
+    }
+  }
+}
@@ -0,0 +1,245 @@
+/**
+ * CacheStorage - Almacenamientos intercambiables para ResponseCache
+ *
+ * Conceptos clave:
+ * - Una misma interfaz asíncrona para distintos backends
+ * - Promisificar APIs basadas en callbacks/eventos (IndexedDB)
+ * - Import dinámico de módulos de Node
+ *
+ * Interfaz: get(key), set(key, entry), delete(key), keys(), clear()
+ */
+
+/**
+ * Memoria con política LRU (el Map conserva el orden de inserción)
+ */
+export class MemoryStorage {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 100;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    if (!this.entries.has(key)) return undefined;
+
+    // Mover al final: es la entrada usada más recientemente
+    const entry = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    // Desalojar la menos usada recientemente
+    if (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async keys() {
+    return [...this.entries.keys()];
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * localStorage del navegador (entradas serializadas en JSON)
+ */
+export class LocalStorageStorage {
+  constructor(options = {}) {
+    this.prefix = options.prefix || 'api-cache:';
+    this.storage = options.storage || globalThis.localStorage;
+  }
+
+  async get(key) {
+    const raw = this.storage.getItem(this.prefix + key);
+    return raw ? JSON.parse(raw) : undefined;
+  }
+
+  async set(key, entry) {
+    try {
+      this.storage.setItem(this.prefix + key, JSON.stringify(entry));
+    } catch (error) {
+      // QuotaExceededError: la caché es opcional, no rompemos la petición
+      console.warn('⚠️ No se pudo guardar en localStorage:', error.message);
+    }
+  }
+
+  async delete(key) {
+    this.storage.removeItem(this.prefix + key);
+  }
+
+  async keys() {
+    const keys = [];
+
+    for (let i = 0; i < this.storage.length; i++) {
+      const key = this.storage.key(i);
+      if (key.startsWith(this.prefix)) {
+        keys.push(key.slice(this.prefix.length));
+      }
+    }
+
+    return keys;
+  }
+
+  async clear() {
+    const keys = await this.keys();
+    keys.forEach(key => this.storage.removeItem(this.prefix + key));
+  }
+}
+
+/**
+ * IndexedDB del navegador
+ */
+export class IndexedDBStorage {
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'api-resilience-cache';
+    this.storeName = options.storeName || 'responses';
+    this.dbPromise = null;
+  }
+
+  /**
+   * Convierte un IDBRequest en promesa
+   */
+  promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Abre la base de datos una sola vez
+   */
+  open() {
+    if (!this.dbPromise) {
+      const request = globalThis.indexedDB.open(this.dbName, 1);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(this.storeName);
+      };
+
+      this.dbPromise = this.promisify(request);
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Obtiene el object store en el modo indicado
+   */
+  async store(mode = 'readonly') {
+    const db = await this.open();
+    return db.transaction(this.storeName, mode).objectStore(this.storeName);
+  }
+
+  async get(key) {
+    return this.promisify((await this.store()).get(key));
+  }
+
+  async set(key, entry) {
+    await this.promisify((await this.store('readwrite')).put(entry, key));
+  }
+
+  async delete(key) {
+    await this.promisify((await this.store('readwrite')).delete(key));
+  }
+
+  async keys() {
+    return this.promisify((await this.store()).getAllKeys());
+  }
+
+  async clear() {
+    await this.promisify((await this.store('readwrite')).clear());
+  }
+}
+
+/**
+ * Fichero JSON en Node
+ * Las entradas viven en memoria y cada cambio reescribe el fichero
+ */
+export class FileStorage {
+  constructor(options = {}) {
+    this.filePath = options.filePath || '.cache/api-cache.json';
+    this.entries = null;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Import dinámico para que el bundle del navegador no dependa de node:fs
+   */
+  async fs() {
+    const moduleName = 'node:fs/promises';
+    return import(/* @vite-ignore */ moduleName);
+  }
+
+  /**
+   * Carga el fichero la primera vez que se usa
+   */
+  async load() {
+    if (this.entries) return this.entries;
+
+    try {
+      const { readFile } = await this.fs();
+      this.entries = new Map(Object.entries(JSON.parse(await readFile(this.filePath, 'utf8'))));
+    } catch {
+      this.entries = new Map();
+    }
+
+    return this.entries;
+  }
+
+  /**
+   * Encadena las escrituras para que no se pisen entre sí
+   */
+  persist() {
+    this.writing = this.writing.then(async () => {
+      const { writeFile, mkdir } = await this.fs();
+      const dir = this.filePath.split('/').slice(0, -1).join('/');
+
+      if (dir) {
+        await mkdir(dir, { recursive: true });
+      }
+
+      await writeFile(this.filePath, JSON.stringify(Object.fromEntries(this.entries)));
+    }).catch(error => {
+      console.warn('⚠️ No se pudo escribir la caché en disco:', error.message);
+    });
+
+    return this.writing;
+  }
+
+  async get(key) {
+    return (await this.load()).get(key);
+  }
+
+  async set(key, entry) {
+    (await this.load()).set(key, entry);
+    await this.persist();
+  }
+
+  async delete(key) {
+    (await this.load()).delete(key);
+    await this.persist();
+  }
+
+  async keys() {
+    return [...(await this.load()).keys()];
+  }
+
+  async clear() {
+    (await this.load()).clear();
+    await this.persist();
+  }
+}
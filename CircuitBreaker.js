@@ -0,0 +1,270 @@
+/**
+ * CircuitBreaker - Corta el tráfico hacia hosts que están fallando
+ *
+ * Conceptos clave:
+ * - Máquina de estados: closed → open → half-open → closed
+ * - Fail fast: rechazar sin esperar a la red
+ * - Ventana deslizante de resultados
+ */
+
+import EventEmitter from './EventEmitter.js';
+import { CircuitOpenError } from './Errors.js';
+import { getHost } from './Urls.js';
+
+class CircuitBreaker extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.failureThreshold = options.failureThreshold || 0.5; // 50% de fallos
+    this.volumeThreshold = options.volumeThreshold || 10; // peticiones mínimas para evaluar
+    this.rollingWindow = options.rollingWindow || 60000; // ms
+    this.resetTimeout = options.resetTimeout || 30000; // ms en open antes de probar
+    this.halfOpenRequests = options.halfOpenRequests || 1; // sondas permitidas en half-open
+    this.keyFn = options.keyFn || CircuitBreaker.hostKey;
+    this.isFailure = options.isFailure || CircuitBreaker.isFailure;
+    this.circuits = new Map();
+  }
+
+  /**
+   * Clave por defecto: el host de la URL
+   */
+  static hostKey(url) {
+    return getHost(url) ?? 'default';
+  }
+
+  /**
+   * Por defecto solo cuentan como fallo los errores de servidor,
+   * de red y timeouts. Un 4xx significa que el backend respondió.
+   */
+  static isFailure(error) {
+    if (error.aborted || error.name === 'AbortError') return false;
+
+    const status = error.status || error.response?.status;
+    if (!status) return true;
+
+    return status >= 500 || status === 408;
+  }
+
+  /**
+   * Obtiene la clave del circuito para una petición
+   */
+  getKey(url, metadata = {}) {
+    return this.keyFn(url, metadata);
+  }
+
+  /**
+   * Obtiene (o crea) el circuito de una clave
+   */
+  getCircuit(key) {
+    if (!this.circuits.has(key)) {
+      this.circuits.set(key, {
+        state: 'closed',
+        outcomes: [],
+        openedAt: null,
+        halfOpenInFlight: 0,
+        halfOpenSuccesses: 0
+      });
+    }
+
+    return this.circuits.get(key);
+  }
+
+  /**
+   * Estado actual, pasando a half-open si ya terminó el cool-down
+   */
+  getState(key) {
+    const circuit = this.getCircuit(key);
+
+    if (circuit.state === 'open' && Date.now() - circuit.openedAt >= this.resetTimeout) {
+      this.transition(key, circuit, 'half-open');
+    }
+
+    return circuit.state;
+  }
+
+  /**
+   * Comprueba sin consumir sonda: lanza si el circuito está abierto
+   */
+  check(key) {
+    if (this.getState(key) === 'open') {
+      throw this.createOpenError(key);
+    }
+  }
+
+  /**
+   * Pide permiso para un intento. En half-open consume una sonda.
+   */
+  acquire(key) {
+    const state = this.getState(key);
+    const circuit = this.getCircuit(key);
+
+    if (state === 'open') {
+      throw this.createOpenError(key);
+    }
+
+    if (state === 'half-open') {
+      if (circuit.halfOpenInFlight >= this.halfOpenRequests) {
+        throw this.createOpenError(key);
+      }
+      circuit.halfOpenInFlight++;
+    }
+  }
+
+  /**
+   * Registra un intento exitoso
+   */
+  onSuccess(key) {
+    const circuit = this.getCircuit(key);
+
+    if (circuit.state === 'half-open') {
+      circuit.halfOpenInFlight = Math.max(0, circuit.halfOpenInFlight - 1);
+      circuit.halfOpenSuccesses++;
+
+      if (circuit.halfOpenSuccesses >= this.halfOpenRequests) {
+        this.transition(key, circuit, 'closed');
+      }
+      return;
+    }
+
+    this.recordOutcome(circuit, false);
+  }
+
+  /**
+   * Registra un intento fallido
+   */
+  onFailure(key, error) {
+    const circuit = this.getCircuit(key);
+
+    if (error.aborted || error.name === 'AbortError') {
+      // Cancelado: no dice nada del backend, solo libera la sonda
+      this.release(circuit);
+      return;
+    }
+
+    if (!this.isFailure(error)) {
+      this.onSuccess(key);
+      return;
+    }
+
+    if (circuit.state === 'half-open') {
+      // Una sonda fallida reabre el circuito
+      this.transition(key, circuit, 'open');
+      return;
+    }
+
+    if (circuit.state === 'open') return;
+
+    this.recordOutcome(circuit, true);
+
+    const { total, failures } = this.countOutcomes(circuit);
+    if (total >= this.volumeThreshold && failures / total >= this.failureThreshold) {
+      this.transition(key, circuit, 'open');
+    }
+  }
+
+  /**
+   * Libera la sonda half-open de un intento sin resultado
+   */
+  release(circuit) {
+    if (circuit.state === 'half-open') {
+      circuit.halfOpenInFlight = Math.max(0, circuit.halfOpenInFlight - 1);
+    }
+  }
+
+  /**
+   * Añade un resultado a la ventana deslizante
+   */
+  recordOutcome(circuit, failure) {
+    circuit.outcomes.push({ timestamp: Date.now(), failure });
+    this.cleanOldOutcomes(circuit);
+  }
+
+  /**
+   * Elimina resultados fuera de la ventana de tiempo
+   */
+  cleanOldOutcomes(circuit) {
+    const cutoff = Date.now() - this.rollingWindow;
+    circuit.outcomes = circuit.outcomes.filter(o => o.timestamp > cutoff);
+  }
+
+  /**
+   * Cuenta resultados y fallos dentro de la ventana
+   */
+  countOutcomes(circuit) {
+    this.cleanOldOutcomes(circuit);
+
+    return {
+      total: circuit.outcomes.length,
+      failures: circuit.outcomes.filter(o => o.failure).length
+    };
+  }
+
+  /**
+   * Cambia de estado y emite el evento correspondiente
+   */
+  transition(key, circuit, state) {
+    if (circuit.state === state) return;
+
+    circuit.state = state;
+    circuit.halfOpenInFlight = 0;
+    circuit.halfOpenSuccesses = 0;
+
+    if (state === 'open') {
+      circuit.openedAt = Date.now();
+    } else if (state === 'closed') {
+      circuit.openedAt = null;
+      circuit.outcomes = [];
+    }
+
+    const event = state === 'closed' ? 'close' : state;
+    this.emit(event, { key, state, ...this.countOutcomes(circuit) });
+  }
+
+  /**
+   * Crea el error de circuito abierto con el tiempo restante
+   */
+  createOpenError(key) {
+    const circuit = this.getCircuit(key);
+    const retryAfter = circuit.state === 'open'
+      ? Math.max(0, circuit.openedAt + this.resetTimeout - Date.now())
+      : 0;
+
+    return new CircuitOpenError(key, retryAfter);
+  }
+
+  /**
+   * Obtiene el estado de todos los circuitos
+   */
+  getStats() {
+    const circuits = {};
+
+    this.circuits.forEach((circuit, key) => {
+      const state = this.getState(key);
+      const { total, failures } = this.countOutcomes(circuit);
+
+      circuits[key] = {
+        state,
+        total,
+        failures,
+        failureRate: total > 0 ? Math.round((failures / total) * 100) : 0,
+        nextAttemptIn: state === 'open'
+          ? Math.max(0, circuit.openedAt + this.resetTimeout - Date.now())
+          : 0
+      };
+    });
+
+    return {
+      open: Object.values(circuits).filter(c => c.state === 'open').length,
+      circuits
+    };
+  }
+
+  /**
+   * Cierra todos los circuitos
+   */
+  reset() {
+    this.circuits.clear();
+  }
+}
+
+export default CircuitBreaker;
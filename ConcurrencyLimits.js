@@ -0,0 +1,155 @@
+/**
+ * ConcurrencyLimits - Límites de concurrencia adaptativos para RequestQueue
+ *
+ * Conceptos clave:
+ * - AIMD: subir despacio, bajar rápido (como el control de congestión de TCP)
+ * - Vegas: detectar la cola del backend comparando la latencia con la mínima
+ * - Mantenerse siempre entre un mínimo y un máximo
+ *
+ * Interfaz: limit, onSample({ latency, failed, inFlight }), getStats(), reset()
+ */
+
+/**
+ * AIMD (Additive Increase, Multiplicative Decrease)
+ * Cada éxito suma 1/limit (≈ +1 por cada `limit` éxitos);
+ * un fallo o una latencia por encima del umbral multiplica por backoffRatio
+ */
+export class AIMDLimit {
+  constructor(options = {}) {
+    this.minLimit = options.minConcurrency || 1;
+    this.maxLimit = options.maxConcurrency || 50;
+    this.initialLimit = options.initialConcurrency || this.minLimit;
+    this.backoffRatio = options.backoffRatio || 0.9;
+    this.latencyThreshold = options.latencyThreshold || null; // ms (null: solo errores)
+    this.limit = this.initialLimit;
+    this.increases = 0;
+    this.decreases = 0;
+  }
+
+  clamp(limit) {
+    return Math.min(this.maxLimit, Math.max(this.minLimit, limit));
+  }
+
+  onSample({ latency, failed, inFlight }) {
+    const tooSlow = this.latencyThreshold !== null && latency > this.latencyThreshold;
+
+    if (failed || tooSlow) {
+      this.limit = this.clamp(Math.floor(this.limit * this.backoffRatio));
+      this.decreases++;
+    } else if (inFlight >= Math.floor(this.limit) / 2) {
+      // Solo crecer si estamos usando el límite actual
+      this.limit = this.clamp(this.limit + 1 / this.limit);
+      this.increases++;
+    }
+
+    return Math.floor(this.limit);
+  }
+
+  getStats() {
+    return {
+      algorithm: 'aimd',
+      limit: Math.floor(this.limit),
+      minLimit: this.minLimit,
+      maxLimit: this.maxLimit,
+      increases: this.increases,
+      decreases: this.decreases
+    };
+  }
+
+  reset() {
+    this.limit = this.initialLimit;
+    this.increases = 0;
+    this.decreases = 0;
+  }
+}
+
+/**
+ * Vegas: estima cuántas peticiones esperan en la cola del backend
+ * queue = limit × (1 - minLatency / latency)
+ * Por debajo de alpha sube, por encima de beta baja
+ */
+export class VegasLimit {
+  constructor(options = {}) {
+    this.minLimit = options.minConcurrency || 1;
+    this.maxLimit = options.maxConcurrency || 50;
+    this.initialLimit = options.initialConcurrency || this.minLimit;
+    this.alpha = options.alpha || 3;
+    this.beta = options.beta || 6;
+    this.probeInterval = options.probeInterval || 100; // muestras antes de olvidar la latencia mínima
+    this.limit = this.initialLimit;
+    this.minLatency = Infinity;
+    this.smoothedLatency = null;
+    this.samples = 0;
+  }
+
+  clamp(limit) {
+    return Math.min(this.maxLimit, Math.max(this.minLimit, limit));
+  }
+
+  onSample({ latency, failed }) {
+    this.samples++;
+
+    // Olvidar la latencia mínima de vez en cuando: el backend puede haber cambiado
+    if (this.samples % this.probeInterval === 0) {
+      this.minLatency = Infinity;
+    }
+
+    if (failed) {
+      this.limit = this.clamp(Math.floor(this.limit * 0.9));
+      return this.limit;
+    }
+
+    this.minLatency = Math.min(this.minLatency, Math.max(1, latency));
+    this.smoothedLatency = this.smoothedLatency === null
+      ? latency
+      : this.smoothedLatency * 0.8 + latency * 0.2;
+
+    const queue = this.limit * (1 - this.minLatency / Math.max(1, this.smoothedLatency));
+
+    if (queue < this.alpha) {
+      this.limit = this.clamp(this.limit + 1);
+    } else if (queue > this.beta) {
+      this.limit = this.clamp(this.limit - 1);
+    }
+
+    return this.limit;
+  }
+
+  getStats() {
+    return {
+      algorithm: 'vegas',
+      limit: this.limit,
+      minLimit: this.minLimit,
+      maxLimit: this.maxLimit,
+      minLatency: Number.isFinite(this.minLatency) ? this.minLatency : null,
+      smoothedLatency: this.smoothedLatency === null ? null : Math.round(this.smoothedLatency)
+    };
+  }
+
+  reset() {
+    this.limit = this.initialLimit;
+    this.minLatency = Infinity;
+    this.smoothedLatency = null;
+    this.samples = 0;
+  }
+}
+
+export const CONCURRENCY_LIMITS = {
+  aimd: AIMDLimit,
+  vegas: VegasLimit
+};
+
+/**
+ * Crea un límite por nombre o acepta una instancia propia con la misma interfaz
+ */
+export function createConcurrencyLimit(algorithm = 'aimd', options = {}) {
+  if (typeof algorithm === 'object') return algorithm;
+
+  const Limit = CONCURRENCY_LIMITS[algorithm];
+
+  if (!Limit) {
+    throw new Error(`Unknown concurrency limit algorithm: ${algorithm}`);
+  }
+
+  return new Limit(options);
+}
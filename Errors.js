@@ -0,0 +1,91 @@
+/**
+ * Errors - Errores tipados del wrapper
+ *
+ * Conceptos clave:
+ * - Herencia de Error con class/extends
+ * - error.name para distinguir errores sin instanceof
+ */
+
+/**
+ * El circuito de un host está abierto: la petición falla sin llegar a la red
+ */
+export class CircuitOpenError extends Error {
+  constructor(key, retryAfter = 0) {
+    super(`Circuit open for ${key}, retry in ${retryAfter}ms`);
+    this.name = 'CircuitOpenError';
+    this.key = key;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * La petición fue cancelada por el AbortSignal del llamador
+ * Se usa en todas las etapas: cola, rate limiter, fetch y esperas entre reintentos
+ */
+export class AbortError extends Error {
+  constructor(reason) {
+    super(reason instanceof Error ? reason.message : (reason || 'Request aborted'));
+    this.name = 'AbortError';
+    this.reason = reason;
+    this.aborted = true;
+  }
+
+  /**
+   * Crea el error a partir de un AbortSignal ya abortado
+   */
+  static fromSignal(signal) {
+    return new AbortError(signal.reason);
+  }
+}
+
+/**
+ * La cola está llena y la política de desbordamiento descartó la petición
+ */
+export class QueueFullError extends Error {
+  constructor(queue, maxSize, policy) {
+    super(`Queue ${queue} full (${maxSize}), request shed by ${policy} policy`);
+    this.name = 'QueueFullError';
+    this.queue = queue;
+    this.maxSize = maxSize;
+    this.policy = policy;
+  }
+}
+
+/**
+ * No se pudo serializar el body (sin serializer para su Content-Type o el serializer falló)
+ * No es un fallo de red: no se reintenta ni cuenta en el circuit breaker
+ */
+export class SerializationError extends Error {
+  constructor(contentType, cause = null) {
+    super(cause
+      ? `Could not serialize body as ${contentType}: ${cause.message}`
+      : `No body serializer registered for ${contentType}`);
+    this.name = 'SerializationError';
+    this.contentType = contentType;
+    this.cause = cause;
+  }
+}
+
+/**
+ * El wrapper está en drain() o shutdown() y ya no acepta peticiones nuevas
+ */
+export class ShutdownError extends Error {
+  constructor(state) {
+    super(`ApiWrapper is ${state}, not accepting new requests`);
+    this.name = 'ShutdownError';
+    this.state = state;
+  }
+}
+
+/**
+ * La petición esperó en cola más de maxQueueTime y caducó antes de ejecutarse
+ */
+export class QueueTimeoutError extends Error {
+  constructor(queue, waited, maxQueueTime) {
+    super(`Request expired after waiting ${waited}ms in ${queue} (max ${maxQueueTime}ms)`);
+    this.name = 'QueueTimeoutError';
+    this.queue = queue;
+    this.waited = waited;
+    this.maxQueueTime = maxQueueTime;
+  }
+}
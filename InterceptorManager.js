@@ -0,0 +1,63 @@
+/**
+ * InterceptorManager - Cadena ordenada de interceptores asíncronos
+ *
+ * Conceptos clave:
+ * - Encadenamiento de promesas con .then(onFulfilled, onRejected)
+ * - Transformar errores en resultados (y viceversa)
+ * - Funciones que retornan funciones (eject)
+ */
+
+class InterceptorManager {
+  constructor() {
+    this.handlers = [];
+  }
+
+  /**
+   * Registra un interceptor al final de la cadena
+   * @param {Function} onFulfilled - (value, context) => value
+   * @param {Function} onRejected - (error, context) => value | throw
+   * @returns {Function} Función para quitar el interceptor
+   */
+  use(onFulfilled = null, onRejected = null) {
+    const handler = { onFulfilled, onRejected };
+    this.handlers.push(handler);
+
+    return () => this.eject(handler);
+  }
+
+  /**
+   * Quita un interceptor de la cadena
+   */
+  eject(handler) {
+    const index = this.handlers.indexOf(handler);
+
+    if (index !== -1) {
+      this.handlers.splice(index, 1);
+    }
+  }
+
+  /**
+   * Quita todos los interceptores
+   */
+  clear() {
+    this.handlers = [];
+  }
+
+  /**
+   * Ejecuta la cadena empezando por un valor o por un error
+   * Cada paso es un .then(): un onRejected que retorna un valor recupera la cadena
+   * @param {Promise} initial - Promesa inicial (resuelta o rechazada)
+   * @param {Object} context - Se pasa como segundo argumento a cada interceptor
+   */
+  run(initial, context = {}) {
+    return this.handlers.reduce(
+      (promise, { onFulfilled, onRejected }) => promise.then(
+        onFulfilled ? (value) => onFulfilled(value, context) : undefined,
+        onRejected ? (error) => onRejected(error, context) : undefined
+      ),
+      initial
+    );
+  }
+}
+
+export default InterceptorManager;
@@ -0,0 +1,192 @@
+/**
+ * LoadShedding - Políticas de desbordamiento para colas acotadas
+ *
+ * Conceptos clave:
+ * - Backpressure: limitar el trabajo pendiente en lugar de crecer sin fin
+ * - Elegir a quién descartar: la nueva, la más antigua o la de menor prioridad
+ * - Bloquear al llamador hasta que haya sitio (una promesa que espera)
+ * - Plazo máximo de espera: lo caducado sale sin llegar a ejecutarse
+ *
+ * RequestQueue y RateLimiter comparten AdmissionControl: solo difieren en cómo
+ * guardan su cola y en qué contadores actualizan
+ */
+
+import { QueueFullError, QueueTimeoutError } from './Errors.js';
+
+/**
+ * Momento de llegada de un item (queuedAt en RequestQueue, timestamp en RateLimiter)
+ */
+const arrival = item => item.queuedAt ?? item.timestamp;
+
+export const OVERFLOW_POLICIES = ['reject', 'drop-oldest', 'drop-lowest', 'block'];
+
+/**
+ * Valida la política configurada
+ */
+export function resolveOverflowPolicy(policy = 'reject') {
+  if (!OVERFLOW_POLICIES.includes(policy)) {
+    throw new Error(`Unknown overflow policy: ${policy}`);
+  }
+
+  return policy;
+}
+
+/**
+ * Decide qué item sale cuando la cola está llena
+ * Los items necesitan priority y un timestamp de llegada (queuedAt o timestamp)
+ * @returns {Object} El item a descartar: puede ser el propio entrante
+ */
+export function selectShedVictim(queue, incoming, policy) {
+  if (policy === 'drop-oldest') {
+    return queue.reduce((oldest, item) => (arrival(item) < arrival(oldest) ? item : oldest), queue[0]) || incoming;
+  }
+
+  if (policy === 'drop-lowest') {
+    // La de menor prioridad; a igual prioridad, la más reciente
+    const lowest = queue.reduce((min, item) => {
+      if (item.priority < min.priority) return item;
+      if (item.priority === min.priority && arrival(item) > arrival(min)) return item;
+      return min;
+    }, queue[0]);
+
+    return lowest && lowest.priority < incoming.priority ? lowest : incoming;
+  }
+
+  return incoming;
+}
+
+/**
+ * Admisión en una cola acotada: desbordamiento, bloqueo y plazos
+ * La cola decide cómo guarda los items; esto decide si entran, esperan o salen
+ *
+ * hooks:
+ * - getQueue(): items en cola (no los bloqueados)
+ * - enqueue(item): meter el item en la cola
+ * - remove(item): sacarlo de la cola; false si no estaba
+ * - onBlock(item): opcional, el item espera sitio
+ * - onDiscard(item, reason, error): reason 'shed' o 'expired'; la cola rechaza y cuenta
+ */
+export class AdmissionControl {
+  constructor(name, options = {}, hooks) {
+    this.name = name; // 'request-queue' | 'rate-limiter' (en QueueFullError y onShed)
+    this.maxQueueSize = options.maxQueueSize || Infinity;
+    this.overflow = resolveOverflowPolicy(options.overflow);
+    this.blockTimeout = options.blockTimeout || null; // ms bloqueado antes de descartarlo
+    this.onShed = options.onShed || null;
+    this.blocked = []; // Esperando sitio en la cola (política block), en orden de llegada
+    this.hooks = hooks;
+  }
+
+  isFull() {
+    return this.hooks.getQueue().length >= this.maxQueueSize;
+  }
+
+  /**
+   * Mete un item en la cola; con la cola llena aplica la política de desbordamiento
+   */
+  admit(item) {
+    if (this.isFull()) {
+      if (this.overflow === 'block') {
+        this.block(item);
+        return;
+      }
+
+      const victim = selectShedVictim(this.hooks.getQueue(), item, this.overflow);
+      this.shed(victim);
+
+      if (victim === item) return;
+    }
+
+    this.hooks.enqueue(item);
+  }
+
+  /**
+   * Política block: el llamador espera (su promesa sigue pendiente) hasta que haya sitio
+   */
+  block(item) {
+    this.blocked.push(item);
+    this.hooks.onBlock?.(item);
+
+    if (this.blockTimeout) {
+      item.blockTimer = setTimeout(() => this.shed(item), this.blockTimeout);
+    }
+  }
+
+  /**
+   * Pasa a la cola los items bloqueados mientras haya sitio
+   */
+  admitBlocked() {
+    while (this.blocked.length > 0 && !this.isFull()) {
+      const item = this.blocked.shift();
+      clearTimeout(item.blockTimer);
+      this.admit(item);
+    }
+  }
+
+  isBlocked(item) {
+    return this.blocked.includes(item);
+  }
+
+  /**
+   * Caduca el item si sigue esperando (en cola o bloqueado) al vencer el plazo
+   */
+  setDeadline(item, maxQueueTime) {
+    item.deadlineTimer = setTimeout(() => this.expire(item, maxQueueTime), maxQueueTime);
+  }
+
+  /**
+   * Saca un item de los bloqueados o de la cola y limpia sus timers
+   * @returns {boolean} false si ya no estaba esperando
+   */
+  remove(item) {
+    clearTimeout(item.blockTimer);
+    clearTimeout(item.deadlineTimer);
+
+    const index = this.blocked.indexOf(item);
+    if (index !== -1) {
+      this.blocked.splice(index, 1);
+      return true;
+    }
+
+    return this.hooks.remove(item);
+  }
+
+  /**
+   * Descarta un item con QueueFullError
+   */
+  shed(item) {
+    this.remove(item);
+
+    const error = new QueueFullError(this.name, this.maxQueueSize, this.overflow);
+    this.hooks.onDiscard(item, 'shed', error);
+
+    this.onShed?.({
+      queue: this.name,
+      policy: this.overflow,
+      priority: item.priority,
+      metadata: item.metadata,
+      error
+    });
+  }
+
+  /**
+   * Un item agotó su plazo en cola: se rechaza sin llegar a ejecutarse
+   */
+  expire(item, maxQueueTime) {
+    if (!this.remove(item)) return;
+
+    this.hooks.onDiscard(item, 'expired', new QueueTimeoutError(this.name, Date.now() - arrival(item), maxQueueTime));
+    this.admitBlocked();
+  }
+
+  /**
+   * Vacía los bloqueados (limpiando sus timers) y los retorna
+   */
+  clearBlocked() {
+    const blocked = this.blocked;
+    blocked.forEach(item => clearTimeout(item.blockTimer));
+    this.blocked = [];
+    return blocked;
+  }
+
+}
@@ -14,6 +14,8 @@ class Monitor {
     this.updateInterval = null;
     this.requestLog = [];
     this.maxLogEntries = 50;
+    this.transfers = new Map(); // Subidas y descargas en curso (request:progress)
+    this.longTransferTime = 500; // ms antes de mostrar la barra de una transferencia
     
     this.init();
   }
@@ -76,7 +78,25 @@ class Monitor {
               <span class="stat-label">Concurrencia Máx:</span>
               <span class="stat-value" id="maxConcurrent">0</span>
             </div>
+            <div class="stat">
+              <span class="stat-label">Descartadas:</span>
+              <span class="stat-value" id="shedRequests">0</span>
+            </div>
+            <div class="stat">
+              <span class="stat-label">Expiradas en Cola:</span>
+              <span class="stat-value" id="expiredRequests">0</span>
+            </div>
+            <div class="stat">
+              <span class="stat-label">Espera / Ejecución:</span>
+              <span class="stat-value" id="queueWaitTime">0ms / 0ms</span>
+            </div>
+            <div class="stat">
+              <span class="stat-label">Límite Adaptativo:</span>
+              <span class="stat-value" id="concurrencyLimit">-</span>
+            </div>
           </div>
+          <div class="queue-stats bulkhead-pools" id="bulkheadPools"></div>
+          <div class="transfers" id="transfers"></div>
         </div>
 
         <!-- Rate Limiter -->
@@ -95,10 +115,54 @@ class Monitor {
               <span class="stat-label">Slots Disponibles:</span>
               <span class="stat-value" id="availableSlots">0</span>
             </div>
+            <div class="stat">
+              <span class="stat-label">Algoritmo:</span>
+              <span class="stat-value" id="rateLimitAlgorithm">-</span>
+            </div>
           </div>
           <div class="progress-bar">
             <div class="progress-fill" id="rateLimitProgress"></div>
           </div>
+          <div class="rate-stats rate-limit-keys" id="rateLimitKeys"></div>
+        </div>
+
+        <!-- Resiliencia -->
+        <div class="resilience-section">
+          <h3>🛡️ Resiliencia</h3>
+          <div class="resilience-stats">
+            <div class="stat">
+              <span class="stat-label">Reintentos en Ventana:</span>
+              <span class="stat-value" id="retriesInWindow">0</span>
+            </div>
+            <div class="stat">
+              <span class="stat-label">Reintentos Disponibles:</span>
+              <span class="stat-value" id="availableRetries">-</span>
+            </div>
+            <div class="stat">
+              <span class="stat-label">Presupuesto Agotado:</span>
+              <span class="stat-value" id="budgetExhausted">0</span>
+            </div>
+            <div class="stat">
+              <span class="stat-label">Caché (hits/misses):</span>
+              <span class="stat-value" id="cacheHits">-</span>
+            </div>
+            <div class="stat">
+              <span class="stat-label">304 Not Modified:</span>
+              <span class="stat-value" id="conditionalHits">0</span>
+            </div>
+            <div class="stat">
+              <span class="stat-label">Deduplicadas:</span>
+              <span class="stat-value" id="deduplicatedRequests">0</span>
+            </div>
+            <div class="stat">
+              <span class="stat-label">Degradadas (fallback):</span>
+              <span class="stat-value" id="degradedRequests">0</span>
+            </div>
+            <div class="stat">
+              <span class="stat-label">Hedges (enviados/ganados):</span>
+              <span class="stat-value" id="hedgedRequests">0/0</span>
+            </div>
+          </div>
         </div>
 
         <!-- Log de peticiones -->
@@ -127,11 +191,29 @@ class Monitor {
       this.addLogEntry('info', `🚀 Iniciando: ${data.method} ${data.url}`, data);
     });
 
+    this.api.on('request:progress', (data) => {
+      const key = `${data.id}:${data.direction}`;
+
+      if (data.done) {
+        this.transfers.delete(key);
+      } else {
+        this.transfers.set(key, data);
+      }
+    });
+
     this.api.on('request:success', (data) => {
+      this.clearTransfers(data);
+
+      if (data.fromFallback) {
+        this.addLogEntry('warning', `🩹 Degradada (fallback ${data.fallbackSource}): ${data.method} ${data.url} - ${data.error}`, data);
+        return;
+      }
+
       this.addLogEntry('success', `✅ Éxito: ${data.method} ${data.url} (${data.responseTime}ms)`, data);
     });
 
     this.api.on('request:error', (data) => {
+      this.clearTransfers(data);
       this.addLogEntry('error', `❌ Error: ${data.method} ${data.url} - ${data.error}`, data);
     });
 
@@ -141,6 +223,71 @@ class Monitor {
       }
     });
 
+    this.api.on('request:retry', (data) => {
+      this.addLogEntry('warning', `⏳ Esperando ${data.delay}ms (${data.delaySource}): ${data.method} ${data.url}`, data);
+    });
+
+    this.api.on('retry:budget-exhausted', (data) => {
+      this.addLogEntry('error', `🛡️ Presupuesto de reintentos agotado: ${data.method} ${data.url}`, data);
+    });
+
+    this.api.on('cache:hit', (data) => {
+      this.addLogEntry('success', `💾 Caché hit: ${data.method} ${data.url} (${data.age}ms)`, data);
+    });
+
+    this.api.on('cache:miss', (data) => {
+      this.addLogEntry('info', `💾 Caché miss: ${data.method} ${data.url}`, data);
+    });
+
+    this.api.on('cache:stale', (data) => {
+      this.addLogEntry('warning', `💾 Caché stale, revalidando: ${data.method} ${data.url}`, data);
+    });
+
+    this.api.on('cache:stale-if-error', (data) => {
+      this.addLogEntry('warning', `💾 Error, sirviendo copia de caché: ${data.method} ${data.url}`, data);
+    });
+
+    this.api.on('cache:not-modified', (data) => {
+      this.addLogEntry('success', `💾 304 Not Modified: ${data.method} ${data.url}`, data);
+    });
+
+    this.api.on('request:deduplicated', (data) => {
+      this.addLogEntry('info', `🔗 Deduplicada: ${data.method} ${data.url} (${data.subscribers} suscriptores)`, data);
+    });
+
+    this.api.on('request:hedge', (data) => {
+      this.addLogEntry('warning', `🪃 Hedge ${data.hedge} tras ${data.delay}ms: ${data.method} ${data.url}`, data);
+    });
+
+    this.api.on('request:hedge-won', (data) => {
+      this.addLogEntry('success', `🪃 Ganó el hedge ${data.hedge}: ${data.method} ${data.url}`, data);
+    });
+
+    this.api.on('request:shed', (data) => {
+      this.addLogEntry('error', `🗑️ Descartada (${data.queue}, ${data.policy}): ${data.method} ${data.url}`, data);
+    });
+
+    this.api.on('ratelimit:blocked', (data) => {
+      this.addLogEntry('error', `🚦 429 en ${data.key}: host bloqueado ${data.blockedFor}ms`, data);
+    });
+
+    this.api.on('lifecycle:paused', (data) => {
+      this.addLogEntry('warning', `⏸️ Despacho en pausa (${data.pending} pendientes)`, data);
+    });
+
+    this.api.on('lifecycle:resumed', (data) => {
+      this.addLogEntry('info', `▶️ Despacho reanudado (${data.pending} pendientes)`, data);
+    });
+
+    this.api.on('lifecycle:draining', (data) => {
+      this.addLogEntry('warning', `🚰 Drenando: esperando ${data.pending} peticiones`, data);
+    });
+
+    this.api.on('lifecycle:shutdown', (data) => {
+      const detail = data.graceful ? 'ordenado' : `${data.cancelled} canceladas`;
+      this.addLogEntry(data.graceful ? 'info' : 'error', `⏹️ Cerrado (${detail})`, data);
+    });
+
     this.api.on('batch:start', (data) => {
       this.addLogEntry('info', `📦 Batch ${data.type} iniciado: ${data.count} peticiones`, data);
     });
@@ -148,6 +295,18 @@ class Monitor {
     this.api.on('batch:complete', (data) => {
       this.addLogEntry('info', `📦 Batch completado: ${data.successful}/${data.total} exitosas`, data);
     });
+
+    this.api.on('circuit:open', (data) => {
+      this.addLogEntry('error', `🔌 Circuito abierto: ${data.key} (${data.failures}/${data.total} fallos)`, data);
+    });
+
+    this.api.on('circuit:half-open', (data) => {
+      this.addLogEntry('warning', `🔌 Circuito half-open: ${data.key}, probando...`, data);
+    });
+
+    this.api.on('circuit:close', (data) => {
+      this.addLogEntry('success', `🔌 Circuito cerrado: ${data.key}`, data);
+    });
   }
 
   addLogEntry(type, message, data) {
@@ -192,6 +351,46 @@ class Monitor {
     }
   }
 
+  /**
+   * Quita las transferencias de una petición que ya terminó (o falló a medias)
+   */
+  clearTransfers({ method, url }) {
+    this.transfers.forEach((transfer, key) => {
+      if (transfer.method === method && transfer.url === url) {
+        this.transfers.delete(key);
+      }
+    });
+  }
+
+  formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${bytes} B`;
+  }
+
+  /**
+   * Una barra por transferencia larga en curso (sin total: solo bytes y velocidad)
+   */
+  renderTransfers() {
+    document.getElementById('transfers').innerHTML = [...this.transfers.values()]
+      .filter(transfer => transfer.elapsed >= this.longTransferTime)
+      .map(transfer => {
+        const icon = transfer.direction === 'upload' ? '⬆️' : '⬇️';
+        const size = transfer.total
+          ? `${this.formatBytes(transfer.loaded)} / ${this.formatBytes(transfer.total)}`
+          : this.formatBytes(transfer.loaded);
+
+        return `
+          <div class="transfer">
+            <span class="stat-label">${icon} ${transfer.method} ${transfer.url}: ${size} (${this.formatBytes(transfer.rate)}/s)</span>
+            <div class="progress-bar">
+              <div class="progress-fill success" style="width: ${transfer.percent ?? 100}%"></div>
+            </div>
+          </div>
+        `;
+      }).join('');
+  }
+
   updateUI() {
     const metrics = this.api.getMetrics();
 
@@ -216,11 +415,59 @@ class Monitor {
     document.getElementById('queuedRequests').textContent = metrics.queue.queued;
     document.getElementById('runningRequests').textContent = metrics.queue.running;
     document.getElementById('maxConcurrent').textContent = metrics.queue.maxConcurrent;
+    document.getElementById('shedRequests').textContent = metrics.queue.stats.shed + metrics.rateLimiter.shed;
+    document.getElementById('expiredRequests').textContent = metrics.queue.stats.expired + metrics.rateLimiter.expired;
+    document.getElementById('queueWaitTime').textContent =
+      `${metrics.averageQueueTime}ms / ${metrics.averageExecutionTime}ms`;
+
+    if (metrics.queue.concurrency) {
+      const { algorithm, limit, minLimit, maxLimit } = metrics.queue.concurrency;
+      document.getElementById('concurrencyLimit').textContent = `${limit} (${algorithm} ${minLimit}-${maxLimit})`;
+    }
+
+    // Bulkheads: un bloque por pool (ejecutando/límite y en cola)
+    document.getElementById('bulkheadPools').innerHTML = Object.entries(metrics.queue.pools)
+      .map(([key, pool]) => `
+        <div class="stat">
+          <span class="stat-label">Pool ${key}:</span>
+          <span class="stat-value">${pool.running}/${pool.maxConcurrent} (${pool.queued} en cola)</span>
+        </div>
+      `).join('');
+
+    this.renderTransfers();
 
     // Rate Limiter
     document.getElementById('activeRequests').textContent = metrics.rateLimiter.activeRequests;
     document.getElementById('requestsInWindow').textContent = metrics.rateLimiter.requestsInWindow;
     document.getElementById('availableSlots').textContent = metrics.rateLimiter.availableSlots;
+    document.getElementById('rateLimitAlgorithm').textContent = metrics.rateLimiter.algorithm;
+
+    // Límites por clave (y cuota del servidor): usados/límite y en cola
+    document.getElementById('rateLimitKeys').innerHTML = Object.entries(metrics.rateLimiter.keys)
+      .map(([key, limit]) => `
+        <div class="stat">
+          <span class="stat-label">${key} (${limit.algorithm}):</span>
+          <span class="stat-value">${limit.requestsInWindow}/${limit.limit ?? '?'} (${limit.queuedRequests} en cola)${limit.blocked ? ' ⛔' : ''}</span>
+        </div>
+      `).join('');
+
+    // Presupuesto de reintentos
+    if (metrics.retryBudget) {
+      document.getElementById('retriesInWindow').textContent = metrics.retryBudget.retriesInWindow;
+      document.getElementById('availableRetries').textContent = metrics.retryBudget.availableRetries;
+      document.getElementById('budgetExhausted').textContent = metrics.retryBudget.exhausted;
+    }
+
+    // Caché
+    document.getElementById('conditionalHits').textContent = metrics.conditionalHits;
+    document.getElementById('deduplicatedRequests').textContent = metrics.deduplicatedRequests;
+    document.getElementById('degradedRequests').textContent = metrics.degradedRequests;
+    document.getElementById('hedgedRequests').textContent = `${metrics.hedgedRequests}/${metrics.hedgeWins}`;
+
+    if (metrics.cache) {
+      const cacheHits = metrics.cache.hits + metrics.cache.staleHits;
+      document.getElementById('cacheHits').textContent = `${cacheHits}/${metrics.cache.misses}`;
+    }
 
     // Barra de progreso del rate limiter
     const rateLimiterUsage = metrics.rateLimiter.requestsInWindow / 
@@ -0,0 +1,137 @@
+/**
+ * PriorityAging - Envejecimiento de prioridades y cuotas garantizadas por banda
+ *
+ * Conceptos clave:
+ * - Starvation: con carga alta constante, la prioridad baja no sale nunca
+ * - Aging: la prioridad efectiva sube con el tiempo de espera, hasta un tope
+ * - Bandas con cuota mínima de los últimos despachos (ej: 10% para analítica)
+ *
+ * Sin configuración se comporta como una cola de prioridad estricta
+ */
+
+/**
+ * Momento de llegada de un item (queuedAt en RequestQueue, timestamp en RateLimiter)
+ */
+const arrival = item => item.queuedAt ?? item.timestamp;
+
+export class PriorityAging {
+  constructor(options = {}) {
+    this.rate = options.rate || 0;            // puntos de prioridad ganados por intervalo
+    this.interval = options.interval || 1000; // ms
+    this.maxBoost = options.maxBoost ?? 10;   // tope de puntos ganados esperando
+
+    // Bandas por prioridad base: [{ name, min, share }] (share: fracción garantizada)
+    this.bands = (options.bands || [])
+      .map((band, index) => ({ name: band.name || `band-${index}`, min: band.min ?? -Infinity, share: band.share || 0 }))
+      .sort((a, b) => b.min - a.min);
+    this.shareWindow = options.shareWindow || 20; // despachos recientes para medir las cuotas
+    this.history = []; // banda de cada despacho reciente
+  }
+
+  /**
+   * Prioridad base más lo ganado esperando (con tope)
+   */
+  effectivePriority(item, now = Date.now()) {
+    if (!this.rate) return item.priority;
+
+    const waited = Math.max(0, now - arrival(item));
+    const boost = Math.min(this.maxBoost, Math.floor(waited / this.interval) * this.rate);
+
+    return item.priority + boost;
+  }
+
+  /**
+   * Orden de despacho: mayor prioridad efectiva y, a igualdad, la más antigua
+   */
+  compare(a, b, now = Date.now()) {
+    return this.effectivePriority(b, now) - this.effectivePriority(a, now) || arrival(a) - arrival(b);
+  }
+
+  /**
+   * Ordena una copia de los items según el orden de despacho
+   */
+  sort(items, now = Date.now()) {
+    return [...items].sort((a, b) => this.compare(a, b, now));
+  }
+
+  /**
+   * Banda de un item según su prioridad base (la de mínimo más alto que alcanza)
+   */
+  getBand(item) {
+    if (this.bands.length === 0) return null;
+
+    return this.bands.find(band => item.priority >= band.min) || this.bands[this.bands.length - 1];
+  }
+
+  /**
+   * Fracción de los despachos recientes que fue a una banda
+   */
+  getServedShare(band) {
+    if (this.history.length === 0) return 0;
+
+    return this.history.filter(name => name === band.name).length / this.history.length;
+  }
+
+  /**
+   * Elige el siguiente item entre los candidatos
+   * Primero la banda con cuota que más se ha quedado por debajo; si ninguna, el mejor en orden
+   */
+  select(candidates, now = Date.now()) {
+    if (candidates.length === 0) return null;
+
+    let starved = null;
+    let maxDeficit = 0;
+
+    this.bands.forEach(band => {
+      if (!band.share) return;
+
+      const deficit = band.share - this.getServedShare(band);
+      if (deficit <= maxDeficit) return;
+      if (!candidates.some(item => this.getBand(item) === band)) return;
+
+      starved = band;
+      maxDeficit = deficit;
+    });
+
+    const pool = starved ? candidates.filter(item => this.getBand(item) === starved) : candidates;
+
+    return pool.reduce((best, item) => (this.compare(item, best, now) < 0 ? item : best));
+  }
+
+  /**
+   * Anota un despacho para el cálculo de las cuotas
+   */
+  record(item) {
+    const band = this.getBand(item);
+    if (!band) return;
+
+    this.history.push(band.name);
+
+    if (this.history.length > this.shareWindow) {
+      this.history.shift();
+    }
+  }
+
+  getStats() {
+    const bands = {};
+
+    this.bands.forEach(band => {
+      bands[band.name] = {
+        min: band.min,
+        share: band.share,
+        served: Math.round(this.getServedShare(band) * 100) / 100
+      };
+    });
+
+    return {
+      rate: this.rate,
+      interval: this.interval,
+      maxBoost: this.maxBoost,
+      bands
+    };
+  }
+
+  reset() {
+    this.history = [];
+  }
+}
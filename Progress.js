@@ -0,0 +1,160 @@
+/**
+ * Progress - Progreso de subida y descarga
+ *
+ * Conceptos clave:
+ * - Streams: contar los bytes según pasan por un ReadableStream / TransformStream
+ * - Content-Length como total (puede no existir o no servir si hay compresión)
+ * - Streams como body de fetch (duplex: 'half') solo donde el runtime los soporta
+ */
+
+const UPLOAD_CHUNK_SIZE = 64 * 1024;
+
+// Estados sin body: no se pueden envolver en una Response nueva con stream
+const NULL_BODY_STATUSES = [101, 103, 204, 205, 304];
+
+let requestStreamsSupported = null;
+
+/**
+ * Contador de bytes de una transferencia
+ * report recibe { direction, loaded, total, percent, rate, elapsed, done }
+ */
+export function createProgressTracker(direction, total, report) {
+  const startTime = Date.now();
+  let loaded = 0;
+
+  const emit = (done) => {
+    const elapsed = Date.now() - startTime;
+
+    report({
+      direction,
+      loaded,
+      total,
+      percent: total ? Math.min(100, Math.round((loaded / total) * 100)) : null,
+      rate: elapsed > 0 ? Math.round((loaded / elapsed) * 1000) : 0, // bytes/s
+      elapsed,
+      done
+    });
+  };
+
+  return {
+    advance(bytes) {
+      loaded += bytes;
+      emit(false);
+    },
+    finish() {
+      emit(true);
+    }
+  };
+}
+
+/**
+ * ¿Acepta fetch un ReadableStream como body? (Chrome 105+, Node 18+)
+ * Si no, el runtime ignora `duplex` y convierte el stream en texto ("[object ReadableStream]")
+ */
+export function supportsRequestStreams() {
+  if (requestStreamsSupported !== null) return requestStreamsSupported;
+
+  try {
+    let duplexAccessed = false;
+
+    const hasContentType = new Request('http://localhost', {
+      method: 'POST',
+      body: new ReadableStream(),
+      get duplex() {
+        duplexAccessed = true;
+        return 'half';
+      }
+    }).headers.has('Content-Type');
+
+    requestStreamsSupported = duplexAccessed && !hasContentType;
+  } catch {
+    requestStreamsSupported = false;
+  }
+
+  return requestStreamsSupported;
+}
+
+/**
+ * TransformStream que cuenta los bytes que lo atraviesan
+ */
+function createCountingStream(direction, total, report) {
+  const tracker = createProgressTracker(direction, total, report);
+
+  return new TransformStream({
+    transform(chunk, controller) {
+      tracker.advance(chunk.byteLength);
+      controller.enqueue(chunk);
+    },
+    flush() {
+      tracker.finish();
+    }
+  });
+}
+
+/**
+ * Convierte el body en un stream que cuenta lo que fetch va leyendo
+ * Retorna null si el runtime no soporta streams en la petición o el body no se puede
+ * leer por partes (FormData: solo el runtime sabe codificar el multipart)
+ */
+export function trackUpload(body, report) {
+  if (!supportsRequestStreams()) return null;
+
+  if (typeof Blob !== 'undefined' && body instanceof Blob) {
+    return body.stream().pipeThrough(createCountingStream('upload', body.size, report));
+  }
+
+  if (body instanceof ReadableStream) {
+    return body.pipeThrough(createCountingStream('upload', null, report));
+  }
+
+  let bytes = null;
+  if (typeof body === 'string') bytes = new TextEncoder().encode(body);
+  else if (body instanceof URLSearchParams) bytes = new TextEncoder().encode(body.toString());
+  else if (ArrayBuffer.isView(body)) bytes = new Uint8Array(body.buffer, body.byteOffset, body.byteLength);
+  else if (body instanceof ArrayBuffer) bytes = new Uint8Array(body);
+
+  if (!bytes) return null;
+
+  const tracker = createProgressTracker('upload', bytes.byteLength, report);
+  let offset = 0;
+
+  return new ReadableStream({
+    pull(controller) {
+      if (offset >= bytes.byteLength) {
+        tracker.finish();
+        controller.close();
+        return;
+      }
+
+      const chunk = bytes.subarray(offset, offset + UPLOAD_CHUNK_SIZE);
+      offset += chunk.byteLength;
+      controller.enqueue(chunk);
+      tracker.advance(chunk.byteLength);
+    }
+  });
+}
+
+/**
+ * Envuelve la respuesta para contar los bytes del body según se leen
+ * Con Content-Encoding, Content-Length mide los bytes comprimidos: el total queda desconocido
+ */
+export function trackDownload(response, report) {
+  if (!response.body || NULL_BODY_STATUSES.includes(response.status) || typeof TransformStream === 'undefined') {
+    return response;
+  }
+
+  const encoding = response.headers.get('content-encoding');
+  const length = Number(response.headers.get('content-length'));
+  const total = length > 0 && (!encoding || encoding === 'identity') ? length : null;
+
+  const tracked = new Response(response.body.pipeThrough(createCountingStream('download', total, report)), {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers
+  });
+
+  // La Response nueva no conoce la URL final (redirecciones)
+  Object.defineProperty(tracked, 'url', { value: response.url });
+
+  return tracked;
+}
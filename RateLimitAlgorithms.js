@@ -0,0 +1,419 @@
+/**
+ * RateLimitAlgorithms - Algoritmos intercambiables para RateLimiter
+ *
+ * Conceptos clave:
+ * - Distintas semánticas de cuota: ventanas, cubos y tiempos teóricos
+ * - Ráfagas (burst) frente a ritmo constante
+ * - Estado O(1) frente a guardar cada timestamp
+ *
+ * Interfaz: tryAcquire(now), getWaitTime(now), getUsage(now), reset()
+ * getUsage retorna { used, available, limit }
+ */
+
+/**
+ * Sliding window log: guarda cada timestamp (preciso, pero O(n))
+ */
+export class SlidingWindowLog {
+  constructor(options = {}) {
+    this.maxRequests = options.maxRequests || 10;
+    this.timeWindow = options.timeWindow || 1000;
+    this.timestamps = [];
+  }
+
+  cleanOldTimestamps(now) {
+    const cutoff = now - this.timeWindow;
+    this.timestamps = this.timestamps.filter(timestamp => timestamp > cutoff);
+  }
+
+  tryAcquire(now = Date.now()) {
+    this.cleanOldTimestamps(now);
+
+    if (this.timestamps.length >= this.maxRequests) return false;
+
+    this.timestamps.push(now);
+    return true;
+  }
+
+  getWaitTime(now = Date.now()) {
+    this.cleanOldTimestamps(now);
+
+    if (this.timestamps.length < this.maxRequests) return 0;
+
+    // Tiempo hasta que el timestamp más antiguo salga de la ventana
+    return Math.max(0, this.timestamps[0] + this.timeWindow - now);
+  }
+
+  getUsage(now = Date.now()) {
+    this.cleanOldTimestamps(now);
+
+    return {
+      used: this.timestamps.length,
+      available: Math.max(0, this.maxRequests - this.timestamps.length),
+      limit: this.maxRequests
+    };
+  }
+
+  reset() {
+    this.timestamps = [];
+  }
+}
+
+/**
+ * Fixed window: un contador por ventana alineada (permite 2x en el borde)
+ */
+export class FixedWindow {
+  constructor(options = {}) {
+    this.maxRequests = options.maxRequests || 10;
+    this.timeWindow = options.timeWindow || 1000;
+    this.windowStart = 0;
+    this.count = 0;
+  }
+
+  roll(now) {
+    const windowStart = Math.floor(now / this.timeWindow) * this.timeWindow;
+
+    if (windowStart !== this.windowStart) {
+      this.windowStart = windowStart;
+      this.count = 0;
+    }
+  }
+
+  tryAcquire(now = Date.now()) {
+    this.roll(now);
+
+    if (this.count >= this.maxRequests) return false;
+
+    this.count++;
+    return true;
+  }
+
+  getWaitTime(now = Date.now()) {
+    this.roll(now);
+
+    return this.count < this.maxRequests ? 0 : this.windowStart + this.timeWindow - now;
+  }
+
+  getUsage(now = Date.now()) {
+    this.roll(now);
+
+    return {
+      used: this.count,
+      available: Math.max(0, this.maxRequests - this.count),
+      limit: this.maxRequests
+    };
+  }
+
+  reset() {
+    this.windowStart = 0;
+    this.count = 0;
+  }
+}
+
+/**
+ * Sliding window counter: pondera la ventana anterior según cuánto solapa
+ * Aproxima el sliding log con solo dos contadores
+ */
+export class SlidingWindowCounter {
+  constructor(options = {}) {
+    this.maxRequests = options.maxRequests || 10;
+    this.timeWindow = options.timeWindow || 1000;
+    this.windowStart = 0;
+    this.previousCount = 0;
+    this.currentCount = 0;
+  }
+
+  roll(now) {
+    const windowStart = Math.floor(now / this.timeWindow) * this.timeWindow;
+
+    if (windowStart === this.windowStart) return;
+
+    // Si saltamos más de una ventana, la anterior quedó vacía
+    this.previousCount = windowStart - this.windowStart === this.timeWindow ? this.currentCount : 0;
+    this.currentCount = 0;
+    this.windowStart = windowStart;
+  }
+
+  estimate(now) {
+    const elapsed = (now - this.windowStart) / this.timeWindow;
+    return this.previousCount * (1 - elapsed) + this.currentCount;
+  }
+
+  tryAcquire(now = Date.now()) {
+    this.roll(now);
+
+    if (this.estimate(now) + 1 > this.maxRequests) return false;
+
+    this.currentCount++;
+    return true;
+  }
+
+  getWaitTime(now = Date.now()) {
+    this.roll(now);
+
+    if (this.estimate(now) + 1 <= this.maxRequests) return 0;
+
+    // Esperar a que el peso de la ventana anterior baje lo suficiente
+    if (this.previousCount > 0 && this.currentCount + 1 <= this.maxRequests) {
+      const elapsedNeeded = 1 - (this.maxRequests - this.currentCount - 1) / this.previousCount;
+      return Math.max(1, Math.ceil(this.windowStart + elapsedNeeded * this.timeWindow - now));
+    }
+
+    return this.windowStart + this.timeWindow - now;
+  }
+
+  getUsage(now = Date.now()) {
+    this.roll(now);
+    const used = Math.ceil(this.estimate(now));
+
+    return {
+      used,
+      available: Math.max(0, this.maxRequests - used),
+      limit: this.maxRequests
+    };
+  }
+
+  reset() {
+    this.windowStart = 0;
+    this.previousCount = 0;
+    this.currentCount = 0;
+  }
+}
+
+/**
+ * Token bucket: ráfagas de hasta `burst` y recarga continua a `refillRate` tokens/s
+ */
+export class TokenBucket {
+  constructor(options = {}) {
+    const maxRequests = options.maxRequests || 10;
+    const timeWindow = options.timeWindow || 1000;
+
+    this.capacity = options.burst || maxRequests;
+    this.refillRate = options.refillRate || (maxRequests / timeWindow) * 1000; // tokens/s
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+  }
+
+  refill(now) {
+    const elapsed = Math.max(0, now - this.lastRefill) / 1000;
+
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillRate);
+    this.lastRefill = now;
+  }
+
+  tryAcquire(now = Date.now()) {
+    this.refill(now);
+
+    if (this.tokens < 1) return false;
+
+    this.tokens--;
+    return true;
+  }
+
+  getWaitTime(now = Date.now()) {
+    this.refill(now);
+
+    return this.tokens >= 1 ? 0 : Math.ceil(((1 - this.tokens) / this.refillRate) * 1000);
+  }
+
+  getUsage(now = Date.now()) {
+    this.refill(now);
+    const available = Math.floor(this.tokens);
+
+    return {
+      used: this.capacity - available,
+      available,
+      limit: this.capacity,
+      tokens: Math.round(this.tokens * 100) / 100
+    };
+  }
+
+  reset() {
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+  }
+}
+
+/**
+ * GCRA (Generic Cell Rate Algorithm): un único timestamp teórico (TAT)
+ * Una petición pasa si llega como mucho `burst - 1` intervalos antes de su turno
+ */
+export class GCRA {
+  constructor(options = {}) {
+    const maxRequests = options.maxRequests || 10;
+    const timeWindow = options.timeWindow || 1000;
+
+    this.burst = options.burst || maxRequests;
+    this.interval = timeWindow / maxRequests; // ms entre peticiones a ritmo constante
+    this.tolerance = this.interval * (this.burst - 1);
+    this.tat = 0; // theoretical arrival time
+  }
+
+  tryAcquire(now = Date.now()) {
+    const tat = Math.max(this.tat, now);
+
+    if (tat - this.tolerance > now) return false;
+
+    this.tat = tat + this.interval;
+    return true;
+  }
+
+  getWaitTime(now = Date.now()) {
+    return Math.max(0, Math.ceil(Math.max(this.tat, now) - this.tolerance - now));
+  }
+
+  getUsage(now = Date.now()) {
+    const backlog = Math.max(0, this.tat - now);
+    const used = Math.min(this.burst, Math.ceil(backlog / this.interval));
+
+    return {
+      used,
+      available: this.burst - used,
+      limit: this.burst
+    };
+  }
+
+  reset() {
+    this.tat = 0;
+  }
+}
+
+/**
+ * Leaky bucket: las peticiones salen a ritmo constante, sin ráfagas
+ * Es GCRA con burst 1: una petición cada timeWindow / maxRequests ms
+ */
+export class LeakyBucket extends GCRA {
+  constructor(options = {}) {
+    super({ ...options, burst: 1 });
+  }
+}
+
+export const RATE_LIMIT_ALGORITHMS = {
+  'sliding-log': SlidingWindowLog,
+  'fixed-window': FixedWindow,
+  'sliding-window-counter': SlidingWindowCounter,
+  'token-bucket': TokenBucket,
+  'leaky-bucket': LeakyBucket,
+  'gcra': GCRA
+};
+
+/**
+ * Crea un algoritmo por nombre o acepta una instancia propia con la misma interfaz
+ */
+export function createAlgorithm(algorithm = 'sliding-log', options = {}) {
+  if (typeof algorithm === 'object') return algorithm;
+
+  const Algorithm = RATE_LIMIT_ALGORITHMS[algorithm];
+
+  if (!Algorithm) {
+    throw new Error(`Unknown rate limit algorithm: ${algorithm}`);
+  }
+
+  return new Algorithm(options);
+}
+
+// Cuota agotada sin reset conocido: tras esta espera pasa una sonda para volver a preguntar
+const UNKNOWN_RESET_DELAY = 1000;
+
+/**
+ * ServerQuota - Cuota anunciada por el servidor en sus cabeceras
+ * No se elige por nombre: RateLimiter crea una por host cuando ve cabeceras de cuota
+ * Mientras no sabemos nada deja pasar todo
+ */
+export class ServerQuota {
+  constructor() {
+    this.limit = null;
+    this.remaining = null;
+    this.resetAt = null;
+    this.window = null;
+    this.resetGuessed = false; // resetAt puesto por nosotros, no por el servidor
+    this.blockedUntil = 0;
+    this.updatedAt = null;
+  }
+
+  /**
+   * Ajusta la cuota con lo que dice el servidor
+   * @param {Object} quota - { limit, remaining, resetIn, window } (ver RateLimitHeaders.js)
+   */
+  update(quota, now = Date.now()) {
+    if (quota.limit !== null) this.limit = quota.limit;
+    if (quota.remaining !== null) this.remaining = quota.remaining;
+    if (quota.window !== null) this.window = quota.window;
+
+    if (quota.resetIn !== null) {
+      this.resetAt = now + quota.resetIn;
+      this.resetGuessed = false;
+    } else if (quota.remaining !== null && this.window) {
+      this.resetAt = now + this.window;
+      this.resetGuessed = false;
+    }
+
+    this.updatedAt = now;
+  }
+
+  /**
+   * Tras un 429: nada pasa hasta `until`
+   */
+  block(until) {
+    this.blockedUntil = Math.max(this.blockedUntil, until);
+    this.remaining = 0;
+    this.resetAt = Math.max(this.resetAt || 0, until);
+    this.resetGuessed = false;
+  }
+
+  refresh(now) {
+    // Agotada sin reset conocido: caduca en un segundo en vez de bloquear para siempre
+    if (this.remaining !== null && this.remaining <= 0 && this.resetAt === null) {
+      this.resetAt = now + UNKNOWN_RESET_DELAY;
+      this.resetGuessed = true;
+    }
+
+    // Pasado el reset la cuota vuelve a estar completa (o desconocida)
+    // Si el reset era una suposición solo pasa una sonda: su respuesta trae la cuota real
+    if (this.resetAt !== null && now >= this.resetAt) {
+      this.remaining = this.resetGuessed ? 1 : this.limit;
+      this.resetAt = this.window ? now + this.window : null;
+      this.resetGuessed = false;
+    }
+  }
+
+  tryAcquire(now = Date.now()) {
+    if (this.getWaitTime(now) > 0) return false;
+
+    if (this.remaining !== null) {
+      this.remaining = Math.max(0, this.remaining - 1);
+    }
+
+    return true;
+  }
+
+  getWaitTime(now = Date.now()) {
+    this.refresh(now);
+
+    if (now < this.blockedUntil) return this.blockedUntil - now;
+
+    if (this.remaining !== null && this.remaining <= 0) {
+      return Math.max(1, this.resetAt - now);
+    }
+
+    return 0;
+  }
+
+  getUsage(now = Date.now()) {
+    this.refresh(now);
+
+    return {
+      used: this.limit !== null && this.remaining !== null ? this.limit - this.remaining : 0,
+      available: this.remaining ?? 0,
+      limit: this.limit,
+      resetIn: this.resetAt !== null ? Math.max(0, this.resetAt - now) : null,
+      blocked: now < this.blockedUntil
+    };
+  }
+
+  reset() {
+    this.remaining = this.limit;
+    this.resetAt = null;
+    this.resetGuessed = false;
+    this.blockedUntil = 0;
+  }
+}
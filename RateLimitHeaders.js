@@ -0,0 +1,114 @@
+/**
+ * RateLimitHeaders - Lectura de las cabeceras de cuota de los servidores
+ *
+ * Conceptos clave:
+ * - X-RateLimit-* (estilo GitHub) y los borradores IETF RateLimit / RateLimit-Policy
+ * - Segundos relativos frente a epoch
+ * - Structured fields: "policy";q=100;w=60
+ */
+
+/**
+ * Convierte Retry-After (segundos o fecha HTTP) a milisegundos
+ */
+export function parseRetryAfter(value) {
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+
+  return Math.max(0, date - Date.now());
+}
+
+/**
+ * Convierte RateLimit-Reset / X-RateLimit-Reset a milisegundos
+ * Valores grandes se interpretan como epoch en segundos (estilo GitHub)
+ */
+export function parseRateLimitReset(value) {
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds)) return null;
+
+  if (seconds > 1e9) {
+    return Math.max(0, seconds * 1000 - Date.now());
+  }
+
+  return seconds * 1000;
+}
+
+/**
+ * Primer número de una cabecera ("100" o "100, 100;w=60")
+ */
+function parseLeadingInt(value) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Parámetros de la primera entrada de una lista:
+ * 'limit=100, remaining=50' o '"default";q=100;w=60'
+ */
+function parseParams(value) {
+  const params = {};
+
+  // Con ';' es una lista de políticas: nos quedamos con la primera
+  const parts = value.includes(';')
+    ? value.split(',')[0].split(';')
+    : value.split(',');
+
+  parts.forEach(part => {
+    const [name, raw] = part.split('=').map(p => p.trim());
+
+    if (raw !== undefined) {
+      params[name.toLowerCase()] = raw.replace(/"/g, '');
+    } else if (/^\d+$/.test(name)) {
+      params.value = name; // '100;w=60': el primer elemento es la cuota
+    }
+  });
+
+  return params;
+}
+
+/**
+ * Lee la cuota anunciada por el servidor
+ * @param {Headers} headers
+ * @returns {{ limit, remaining, resetIn, window } | null} null si no hay cabeceras de cuota
+ */
+export function parseQuotaHeaders(headers) {
+  if (!headers?.get) return null;
+
+  const quota = { limit: null, remaining: null, resetIn: null, window: null };
+
+  // X-RateLimit-* y RateLimit-* separadas (borradores IETF 6-7)
+  const limit = headers.get('x-ratelimit-limit') || headers.get('ratelimit-limit');
+  const remaining = headers.get('x-ratelimit-remaining') || headers.get('ratelimit-remaining');
+  const reset = headers.get('x-ratelimit-reset') || headers.get('ratelimit-reset');
+
+  if (limit) quota.limit = parseLeadingInt(limit);
+  if (remaining) quota.remaining = parseLeadingInt(remaining);
+  if (reset) quota.resetIn = parseRateLimitReset(reset);
+
+  // RateLimit combinada: 'limit=100, remaining=50, reset=30' o '"default";r=50;t=30'
+  const combined = headers.get('ratelimit');
+  if (combined) {
+    const params = parseParams(combined);
+
+    quota.limit = parseLeadingInt(params.limit) ?? quota.limit;
+    quota.remaining = parseLeadingInt(params.remaining ?? params.r) ?? quota.remaining;
+
+    const resetSeconds = params.reset ?? params.t;
+    if (resetSeconds !== undefined) quota.resetIn = parseRateLimitReset(resetSeconds);
+  }
+
+  // RateLimit-Policy: '100;w=60' o '"default";q=100;w=60'
+  const policy = headers.get('ratelimit-policy');
+  if (policy) {
+    const params = parseParams(policy);
+
+    quota.limit = quota.limit ?? parseLeadingInt(params.q ?? params.value);
+    if (params.w) quota.window = parseInt(params.w, 10) * 1000;
+  }
+
+  const hasQuota = Object.values(quota).some(value => value !== null);
+  return hasQuota ? quota : null;
+}
@@ -1,64 +1,241 @@
 /**
  * RateLimiter - Control de tasa de peticiones
- * 
+ *
  * Conceptos clave:
  * - Microtasks vs Macrotasks
  * - Event Loop y Task Queue
  * - Promesas encadenadas
+ * - Algoritmos intercambiables (ver RateLimitAlgorithms.js)
+ * - Límites por clave (host, ruta, tenant) que se suman al global
+ * - Cuota adaptativa leída de las cabeceras del servidor
+ * - Cola acotada con políticas de descarte (ver LoadShedding.js)
+ * - Plazo máximo de espera en cola
+ * - Aging de prioridades y cuotas por banda (ver PriorityAging.js)
+ * - Pausa: lo que llega espera en cola hasta resume()
  */
 
+import { AbortError } from './Errors.js';
+import { AdmissionControl } from './LoadShedding.js';
+import { PriorityAging } from './PriorityAging.js';
+import { createAlgorithm, ServerQuota } from './RateLimitAlgorithms.js';
+import { parseQuotaHeaders, parseRetryAfter } from './RateLimitHeaders.js';
+import { getHost, parseUrl } from './Urls.js';
+
 class RateLimiter {
   constructor(options = {}) {
     this.maxRequests = options.maxRequests || 10; // peticiones
     this.timeWindow = options.timeWindow || 1000; // ms
+    this.algorithmName = this.getAlgorithmName(options.algorithm);
+    this.algorithm = createAlgorithm(options.algorithm, {
+      maxRequests: this.maxRequests,
+      timeWindow: this.timeWindow,
+      burst: options.burst,
+      refillRate: options.refillRate
+    });
+    this.global = { label: 'global', algorithm: this.algorithm };
+
+    // Reglas por clave: [{ name, match, key, maxRequests, timeWindow, algorithm, burst, refillRate }]
+    this.rules = (options.rules || []).map((rule, index) => ({
+      ...rule,
+      name: rule.name || `rule-${index}`
+    }));
+    this.keyed = new Map(); // label → { label, algorithmName, algorithm }
+
+    // Cuota del servidor por host (X-RateLimit-*, RateLimit, RateLimit-Policy)
+    this.adaptive = options.adaptive !== false;
+
     this.queue = [];
     this.activeRequests = 0;
-    this.requestTimestamps = [];
+    this.queueTimer = null;
+    this.paused = false;
+
+    // Cola acotada: reject | drop-oldest | drop-lowest | block (ver LoadShedding.js)
+    this.admission = new AdmissionControl('rate-limiter', options, {
+      getQueue: () => this.queue,
+      enqueue: item => this.enqueueWaiting(item),
+      remove: item => this.removeQueued(item),
+      onDiscard: (item, reason, error) => this.discard(item, reason, error)
+    });
+    this.shedCount = 0;
+
+    // Plazo máximo en cola por defecto (ms, null: sin plazo)
+    this.maxQueueTime = options.maxQueueTime || null;
+    this.expiredCount = 0;
+
+    // Orden de despacho: prioridad efectiva (con aging) y cuotas por banda
+    this.scheduler = new PriorityAging(options.aging);
   }
 
   /**
-   * Limpia timestamps antiguos fuera de la ventana de tiempo
+   * Nombre legible del algoritmo (para estadísticas)
    */
-  cleanOldTimestamps() {
+  getAlgorithmName(algorithm) {
+    return typeof algorithm === 'object' ? 'custom' : algorithm || 'sliding-log';
+  }
+
+  /**
+   * Algoritmo de las reglas que no indican uno: el global, salvo que sea una instancia propia
+   */
+  getRuleDefaultAlgorithm() {
+    return this.algorithmName === 'custom' ? 'sliding-log' : this.algorithmName;
+  }
+
+  /**
+   * Comprueba si una regla aplica a una petición
+   * match: host ('api.example.com'), prefijo de ruta ('/search'), RegExp o función
+   */
+  matchesRule(rule, url, metadata) {
+    const { match } = rule;
+
+    if (match === undefined) return true;
+    if (!url) return false;
+    if (match instanceof RegExp) return match.test(url);
+    if (typeof match === 'function') return match(url, metadata);
+
+    const parsed = parseUrl(url);
+    if (!parsed) return false;
+
+    return match.startsWith('/') ? parsed.pathname.startsWith(match) : parsed.host === match;
+  }
+
+  /**
+   * Clave dentro de una regla: una sola cuota, una por host o una por valor propio
+   * Retorna null si la regla no aplica (ej: petición sin tenant)
+   */
+  resolveRuleKey(rule, url, metadata) {
+    if (!rule.key) return rule.name;
+
+    if (rule.key === 'host') {
+      const host = getHost(url);
+      return host ? `${rule.name}:${host}` : null;
+    }
+
+    const key = rule.key(url, metadata);
+    return key === null || key === undefined ? null : `${rule.name}:${key}`;
+  }
+
+  /**
+   * Limitadores que aplican a una petición: el global y cada regla que coincide
+   * La cuota del servidor no: puede aparecer mientras la petición espera (ver withServerQuota)
+   */
+  getLimiters(url, metadata = {}) {
+    const limiters = [this.global];
+
+    this.rules.forEach(rule => {
+      if (!this.matchesRule(rule, url, metadata)) return;
+
+      const label = this.resolveRuleKey(rule, url, metadata);
+      if (!label) return;
+
+      if (!this.keyed.has(label)) {
+        this.keyed.set(label, {
+          label,
+          algorithmName: this.getAlgorithmName(rule.algorithm || this.getRuleDefaultAlgorithm()),
+          algorithm: createAlgorithm(rule.algorithm || this.getRuleDefaultAlgorithm(), {
+            maxRequests: rule.maxRequests || this.maxRequests,
+            timeWindow: rule.timeWindow || this.timeWindow,
+            burst: rule.burst,
+            refillRate: rule.refillRate
+          })
+        });
+      }
+
+      limiters.push(this.keyed.get(label));
+    });
+
+    return limiters;
+  }
+
+  /**
+   * Suma la cuota anunciada por el servidor como una clave más
+   * Se resuelve al despachar: un 429 recibido mientras la petición esperaba también la frena
+   */
+  withServerQuota(limiters, url) {
+    const serverQuota = this.adaptive && url ? this.keyed.get(this.getServerLabel(url)) : null;
+    return serverQuota ? [...limiters, serverQuota] : limiters;
+  }
+
+  /**
+   * Limitadores de un item en cola en este momento
+   */
+  getItemLimiters(item) {
+    return this.withServerQuota(item.limiters, item.url);
+  }
+
+  /**
+   * Clave de la cuota del servidor: una por host
+   */
+  getServerLabel(url) {
+    const host = getHost(url);
+    return host ? `server:${host}` : null;
+  }
+
+  /**
+   * Ajusta la cuota del host con las cabeceras de una respuesta
+   * Tras un 429 bloquea todo el host hasta el reset en lugar de dejar
+   * que las peticiones en cola choquen contra el mismo muro
+   * @returns {{ key, quota, blockedFor } | null} null si no había nada que ajustar
+   */
+  updateFromResponse(url, response) {
+    if (!this.adaptive || !response?.headers) return null;
+
+    const quota = parseQuotaHeaders(response.headers);
+    const isThrottled = response.status === 429;
+    const label = this.getServerLabel(url);
+
+    if (!label || (!quota && !isThrottled)) return null;
+
+    if (!this.keyed.has(label)) {
+      this.keyed.set(label, { label, algorithmName: 'server', algorithm: new ServerQuota() });
+    }
+
+    const serverQuota = this.keyed.get(label).algorithm;
     const now = Date.now();
-    const cutoff = now - this.timeWindow;
-    
-    this.requestTimestamps = this.requestTimestamps.filter(
-      timestamp => timestamp > cutoff
-    );
+    let blockedFor = 0;
+
+    if (quota) {
+      serverQuota.update(quota, now);
+    }
+
+    if (isThrottled) {
+      const retryAfter = response.headers.get('retry-after');
+      blockedFor = (retryAfter && parseRetryAfter(retryAfter)) ?? quota?.resetIn ?? this.timeWindow;
+      serverQuota.block(now + blockedFor);
+    }
+
+    // Un reset o más cuota pueden desbloquear la cola
+    this.processQueue();
+
+    return { key: label, quota: serverQuota.getUsage(now), blockedFor };
   }
 
   /**
    * Verifica si podemos hacer una nueva petición
    */
-  canMakeRequest() {
-    this.cleanOldTimestamps();
-    return this.requestTimestamps.length < this.maxRequests;
+  canMakeRequest(limiters = [this.global]) {
+    return this.getWaitTime(limiters) === 0;
   }
 
   /**
-   * Calcula cuánto tiempo hay que esperar
+   * Calcula cuánto tiempo hay que esperar: el mayor de los límites que aplican
    */
-  getWaitTime() {
-    if (this.requestTimestamps.length === 0) return 0;
-    
-    this.cleanOldTimestamps();
-    
-    if (this.requestTimestamps.length < this.maxRequests) return 0;
-    
-    // Tiempo hasta que el timestamp más antiguo salga de la ventana
-    const oldestTimestamp = this.requestTimestamps[0];
-    const waitTime = (oldestTimestamp + this.timeWindow) - Date.now();
-    
-    return Math.max(0, waitTime);
+  getWaitTime(limiters = [this.global]) {
+    const now = Date.now();
+    return Math.max(...limiters.map(limiter => limiter.algorithm.getWaitTime(now)));
   }
 
   /**
-   * Registra una nueva petición
+   * Consume un hueco de todos los límites a la vez, o de ninguno
+   * y registra la petición activa
    */
-  recordRequest() {
-    this.requestTimestamps.push(Date.now());
+  tryAcquire(limiters = [this.global]) {
+    if (!this.canMakeRequest(limiters)) return false;
+
+    const now = Date.now();
+    limiters.forEach(limiter => limiter.algorithm.tryAcquire(now));
+
     this.activeRequests++;
+    return true;
   }
 
   /**
@@ -71,12 +248,28 @@ class RateLimiter {
 
   /**
    * Ejecuta una función respetando el rate limit
+   * @param {Function} fn - Función asíncrona a ejecutar
+   * @param {number} priority - Prioridad en la cola de espera
+   * @param {Object} options - Opciones (signal, url y metadata para los límites por clave, maxQueueTime)
    */
-  async throttle(fn, priority = 0) {
-    // Si podemos ejecutar inmediatamente
-    if (this.canMakeRequest()) {
-      this.recordRequest();
-      
+  async throttle(fn, priority = 0, options = {}) {
+    const {
+      signal = null,
+      url = null,
+      metadata = {},
+      maxQueueTime = this.maxQueueTime
+    } = options;
+
+    if (signal?.aborted) {
+      throw AbortError.fromSignal(signal);
+    }
+
+    const limiters = this.getLimiters(url, metadata);
+
+    // Si no hay nadie esperando y hay hueco, ejecutar inmediatamente
+    if (!this.paused && this.queue.length === 0 && this.tryAcquire(this.withServerQuota(limiters, url))) {
+      this.scheduler.record({ priority });
+
       try {
         const result = await fn();
         return result;
@@ -84,37 +277,109 @@ class RateLimiter {
         this.completeRequest();
       }
     }
-    
+
     // Si no, añadir a la cola y esperar
     return new Promise((resolve, reject) => {
-      this.queue.push({
+      const item = {
         fn,
         priority,
+        signal,
+        limiters,
+        url,
+        metadata,
         resolve,
         reject,
         timestamp: Date.now()
-      });
-      
-      // Ordenar cola por prioridad (mayor prioridad primero)
-      this.queue.sort((a, b) => b.priority - a.priority);
+      };
+
+      // Si el llamador aborta mientras espera, sale de la cola
+      if (signal) {
+        item.onAbort = () => {
+          if (this.admission.remove(item)) {
+            reject(AbortError.fromSignal(signal));
+            this.admission.admitBlocked();
+          }
+        };
+        signal.addEventListener('abort', item.onAbort, { once: true });
+      }
+
+      // Caduca si sigue esperando al vencer el plazo
+      if (maxQueueTime) {
+        this.admission.setDeadline(item, maxQueueTime);
+      }
+
+      this.admission.admit(item);
     });
   }
 
+  /**
+   * Mete un item admitido en la cola
+   */
+  enqueueWaiting(item) {
+    // El orden se decide al despachar: la prioridad efectiva cambia con la espera
+    this.queue.push(item);
+
+    this.processQueue();
+  }
+
+  /**
+   * Saca un item de la cola
+   * @returns {boolean} false si no estaba en ella
+   */
+  removeQueued(item) {
+    const index = this.queue.indexOf(item);
+
+    if (index === -1) return false;
+
+    this.queue.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Rechaza un item descartado (shed) o caducado (expired) sin consumir cuota
+   */
+  discard(item, reason, error) {
+    if (item.onAbort) {
+      item.signal.removeEventListener('abort', item.onAbort);
+    }
+
+    if (reason === 'shed') this.shedCount++;
+    else this.expiredCount++;
+
+    item.reject(error);
+  }
+
   /**
    * Procesa la cola de peticiones pendientes
    * Esta función ilustra el Event Loop:
    * - Usa microtask (Promise) para scheduling
-   * - Respeta el orden de prioridad
+   * - Respeta el orden de prioridad efectiva (ver PriorityAging.js)
+   * - Programa un macrotask (setTimeout) para cuando el algoritmo vuelva a dar paso
+   * Una clave agotada no bloquea a las peticiones de otras claves
    */
-  async processQueue() {
-    // Si no hay items en cola o no podemos procesar, salir
-    if (this.queue.length === 0 || !this.canMakeRequest()) {
-      return;
+  processQueue() {
+    while (!this.paused && this.queue.length > 0 && this.canMakeRequest([this.global])) {
+      // Solo compiten los items cuyas claves tienen hueco
+      const item = this.scheduler.select(this.queue.filter(item => this.canMakeRequest(this.getItemLimiters(item))));
+      if (!item || !this.tryAcquire(this.getItemLimiters(item))) break;
+
+      this.scheduler.record(item);
+      this.admission.remove(item);
+      if (item.onAbort) {
+        item.signal.removeEventListener('abort', item.onAbort);
+      }
+
+      this.runItem(item);
     }
-    
-    const item = this.queue.shift();
-    this.recordRequest();
-    
+
+    this.admission.admitBlocked();
+    this.scheduleQueue();
+  }
+
+  /**
+   * Ejecuta un item de la cola y libera su hueco al terminar
+   */
+  async runItem(item) {
     try {
       const result = await item.fn();
       item.resolve(result);
@@ -125,18 +390,80 @@ class RateLimiter {
     }
   }
 
+  /**
+   * Sin depender de que termine otra petición: reintentar cuando haya hueco
+   */
+  scheduleQueue() {
+    if (this.paused || this.queue.length === 0 || this.queueTimer) return;
+
+    const wait = Math.min(...this.queue.map(item => this.getWaitTime(this.getItemLimiters(item))));
+
+    this.queueTimer = setTimeout(() => {
+      this.queueTimer = null;
+      this.processQueue();
+    }, Math.max(1, wait));
+  }
+
+  /**
+   * Pausa el despacho: lo que llega (o ya espera) no sale hasta resume()
+   */
+  pause() {
+    this.paused = true;
+    clearTimeout(this.queueTimer);
+    this.queueTimer = null;
+  }
+
+  /**
+   * Reanuda el despacho
+   */
+  resume() {
+    this.paused = false;
+    this.processQueue();
+  }
+
+  /**
+   * Uso de un limitador en el formato de getStats()
+   */
+  describe(limiter, algorithmName) {
+    const now = Date.now();
+    const { used, available, limit, ...details } = limiter.algorithm.getUsage(now);
+
+    return {
+      algorithm: algorithmName,
+      requestsInWindow: used,
+      availableSlots: available,
+      limit,
+      nextAvailableIn: limiter.algorithm.getWaitTime(now),
+      ...details
+    };
+  }
+
   /**
    * Obtiene estadísticas del rate limiter
+   * keys: uso desglosado por cada clave de las reglas
    */
   getStats() {
-    this.cleanOldTimestamps();
-    
+    const keys = {};
+
+    this.keyed.forEach(limiter => {
+      keys[limiter.label] = {
+        ...this.describe(limiter, limiter.algorithmName),
+        queuedRequests: this.queue.filter(item => this.getItemLimiters(item).includes(limiter)).length
+      };
+    });
+
     return {
       activeRequests: this.activeRequests,
       queuedRequests: this.queue.length,
-      requestsInWindow: this.requestTimestamps.length,
-      availableSlots: Math.max(0, this.maxRequests - this.requestTimestamps.length),
-      nextAvailableIn: this.getWaitTime()
+      paused: this.paused,
+      blockedRequests: this.admission.blocked.length,
+      maxQueueSize: this.admission.maxQueueSize,
+      overflow: this.admission.overflow,
+      shed: this.shedCount,
+      expired: this.expiredCount,
+      aging: this.scheduler.getStats(),
+      ...this.describe(this.global, this.algorithmName),
+      keys
     };
   }
 
@@ -144,16 +471,20 @@ class RateLimiter {
    * Limpia todas las peticiones en cola
    */
   clearQueue() {
-    const count = this.queue.length;
-    
-    this.queue.forEach(item => {
+    const waiting = [...this.queue, ...this.admission.clearBlocked()];
+    const count = waiting.length;
+
+    waiting.forEach(item => {
+      clearTimeout(item.deadlineTimer);
       item.reject(new Error('Queue cleared'));
     });
-    
+
     this.queue = [];
-    
+    clearTimeout(this.queueTimer);
+    this.queueTimer = null;
+
     return count;
   }
 }
 
-export default RateLimiter;
\ No newline at end of file
+export default RateLimiter;
@@ -5,40 +5,214 @@
  * - Task Queue y Event Loop
  * - Callbacks vs Promesas
  * - Manejo de concurrencia
+ * - Bulkheads: pools de concurrencia aislados por host o ruta
+ * - Concurrencia adaptativa según latencia y errores (ver ConcurrencyLimits.js)
+ * - Cola acotada con políticas de descarte (ver LoadShedding.js)
+ * - Plazo máximo de espera: el trabajo caducado no llega a ocupar hueco
+ * - Aging de prioridades y cuotas por banda contra la starvation (ver PriorityAging.js)
+ * - Pausa real del despacho y promesas onEmpty / onIdle
  */
 
+import { AbortError } from './Errors.js';
+import { createConcurrencyLimit } from './ConcurrencyLimits.js';
+import { AdmissionControl } from './LoadShedding.js';
+import { PriorityAging } from './PriorityAging.js';
+import { parseUrl } from './Urls.js';
+
+const DEFAULT_POOL = 'default';
+
 class RequestQueue {
   constructor(options = {}) {
     this.maxConcurrent = options.maxConcurrent || 5;
-    this.queue = [];
     this.running = 0;
-    this.stats = {
+    this.paused = false;
+    this.stats = this.createStats();
+    this.waiters = { empty: [], idle: [] }; // resolvers de onEmpty() y onIdle()
+
+    // Cola acotada: reject | drop-oldest | drop-lowest | block (ver LoadShedding.js)
+    this.admission = new AdmissionControl('request-queue', options, {
+      getQueue: () => this.queue,
+      enqueue: request => this.enqueueWaiting(request),
+      remove: request => this.removeQueued(request),
+      onBlock: (request) => {
+        request.status = 'blocked';
+      },
+      onDiscard: (request, reason, error) => this.discard(request, reason, error)
+    });
+
+    // Plazo máximo en cola por defecto (ms, null: sin plazo)
+    this.maxQueueTime = options.maxQueueTime || null;
+
+    // Orden de despacho: prioridad efectiva (con aging) y cuotas por banda
+    this.scheduler = new PriorityAging(options.aging);
+
+    // Bulkheads (opcional): cada pool tiene su propio límite y su propia cola
+    const bulkheads = options.bulkheads || null;
+    this.bulkheads = bulkheads && {
+      partition: bulkheads.partition || 'host', // 'host' | 'route' | (url, metadata) => key
+      maxConcurrent: bulkheads.maxConcurrent || this.maxConcurrent, // por pool
+      pools: bulkheads.pools || {}, // { [key]: { maxConcurrent } }
+      routes: bulkheads.routes || [] // [{ match, name, maxConcurrent }] para partition 'route'
+    };
+
+    this.pools = new Map();
+
+    // Concurrencia adaptativa (opcional): maxConcurrent pasa a ser el límite actual
+    const adaptive = options.adaptiveConcurrency || null;
+    this.concurrencyLimit = adaptive && createConcurrencyLimit(adaptive.algorithm, {
+      initialConcurrency: this.maxConcurrent,
+      ...adaptive
+    });
+    this.isOverload = adaptive?.isOverload || RequestQueue.isOverload;
+    this.onLimitChange = options.onLimitChange || null;
+
+    if (this.concurrencyLimit) {
+      this.maxConcurrent = Math.floor(this.concurrencyLimit.limit);
+    }
+  }
+
+  /**
+   * Errores que indican saturación del backend: timeouts, 5xx, 429 y red
+   * Un 4xx o una cancelación no dicen nada de la carga
+   */
+  static isOverload(error) {
+    if (error.aborted || error.name === 'AbortError') return false;
+    if (error.name === 'TimeoutError') return true;
+
+    const status = error.status || error.response?.status;
+    if (!status) return true;
+
+    return status >= 500 || status === 429 || status === 408;
+  }
+
+  /**
+   * Pasa una muestra al límite adaptativo y actualiza maxConcurrent
+   */
+  recordSample(latency, error) {
+    if (!this.concurrencyLimit) return;
+
+    const previous = this.maxConcurrent;
+    const failed = Boolean(error) && this.isOverload(error);
+
+    this.concurrencyLimit.onSample({ latency, failed, inFlight: this.running });
+    this.maxConcurrent = Math.floor(this.concurrencyLimit.limit);
+
+    if (this.maxConcurrent !== previous && this.onLimitChange) {
+      this.onLimitChange({ limit: this.maxConcurrent, previous, latency, failed });
+    }
+  }
+
+  /**
+   * Contadores de una cola o de un pool
+   */
+  createStats() {
+    return {
       total: 0,
       completed: 0,
       failed: 0,
-      cancelled: 0
+      cancelled: 0,
+      shed: 0,
+      expired: 0
     };
   }
 
+  /**
+   * Decide a qué pool va una petición
+   */
+  getPartition(url, metadata) {
+    if (!this.bulkheads || !url) return DEFAULT_POOL;
+
+    const { partition, routes } = this.bulkheads;
+
+    if (typeof partition === 'function') {
+      return partition(url, metadata) || DEFAULT_POOL;
+    }
+
+    const parsed = parseUrl(url);
+    if (!parsed) return DEFAULT_POOL;
+
+    if (partition === 'route') {
+      const route = routes.find(({ match }) => {
+        if (match instanceof RegExp) return match.test(url);
+        if (typeof match === 'function') return match(url);
+        return parsed.pathname.startsWith(match);
+      });
+
+      return route ? (route.name || String(route.match)) : DEFAULT_POOL;
+    }
+
+    return parsed.host;
+  }
+
+  /**
+   * Obtiene (o crea) el pool de una partición
+   * Sin bulkheads solo existe el pool por defecto, limitado por el cupo global
+   */
+  getPool(key) {
+    if (!this.pools.has(key)) {
+      this.pools.set(key, {
+        key,
+        maxConcurrent: this.getPoolLimit(key),
+        queue: [],
+        running: 0,
+        stats: this.createStats()
+      });
+    }
+
+    return this.pools.get(key);
+  }
+
+  /**
+   * Límite de un pool: configuración del pool, de su ruta o el límite por defecto
+   */
+  getPoolLimit(key) {
+    if (!this.bulkheads) return Infinity;
+
+    const route = this.bulkheads.routes.find(r => (r.name || String(r.match)) === key);
+
+    return this.bulkheads.pools[key]?.maxConcurrent ||
+      route?.maxConcurrent ||
+      this.bulkheads.maxConcurrent;
+  }
+
+  /**
+   * Todas las peticiones en espera, de todos los pools
+   */
+  get queue() {
+    return [...this.pools.values()].flatMap(pool => pool.queue);
+  }
+
   /**
    * Añade una petición a la cola
    * @param {Function} fn - Función asíncrona a ejecutar
-   * @param {Object} options - Opciones (priority, metadata, etc)
+   * @param {Object} options - Opciones (priority, metadata, signal, url para el bulkhead, maxQueueTime, etc)
    */
   enqueue(fn, options = {}) {
     const {
       priority = 0,
       metadata = {},
-      onProgress = null
+      onProgress = null,
+      signal = null,
+      url = metadata.url,
+      maxQueueTime = this.maxQueueTime
     } = options;
 
     return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(AbortError.fromSignal(signal));
+        return;
+      }
+
+      const pool = this.getPool(this.getPartition(url, metadata));
+
       const request = {
         id: this.generateId(),
+        pool,
         fn,
         priority,
         metadata,
         onProgress,
+        signal,
         resolve,
         reject,
         status: 'queued',
@@ -47,46 +221,129 @@ class RequestQueue {
         completedAt: null
       };
 
-      this.queue.push(request);
-      this.stats.total++;
+      // Si el llamador aborta mientras espera en cola, sale sin ocupar slot
+      if (signal) {
+        request.onAbort = () => this.cancel(request.id, AbortError.fromSignal(signal));
+        signal.addEventListener('abort', request.onAbort, { once: true });
+      }
 
-      // Ordenar por prioridad
-      this.queue.sort((a, b) => b.priority - a.priority);
+      // Caduca si sigue esperando (en cola o bloqueada) al vencer el plazo
+      if (maxQueueTime) {
+        this.admission.setDeadline(request, maxQueueTime);
+      }
 
-      // Intentar procesar inmediatamente
-      this.process();
+      pool.stats.total++;
+      this.stats.total++;
+
+      this.admission.admit(request);
     });
   }
 
+  /**
+   * Mete una petición admitida en la cola de su pool
+   */
+  enqueueWaiting(request) {
+    request.status = 'queued';
+    // El orden se decide al despachar: la prioridad efectiva cambia con la espera
+    request.pool.queue.push(request);
+
+    // Intentar procesar inmediatamente
+    this.process();
+  }
+
+  /**
+   * Saca una petición de la cola de su pool
+   * @returns {boolean} false si no estaba en ella
+   */
+  removeQueued(request) {
+    const { queue } = request.pool;
+    const index = queue.indexOf(request);
+
+    if (index === -1) return false;
+
+    queue.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Rechaza una petición descartada (shed) o caducada (expired)
+   */
+  discard(request, reason, error) {
+    const { pool } = request;
+
+    this.detachSignal(request);
+    request.status = reason;
+    this.stats[reason]++;
+    pool.stats[reason]++;
+
+    request.reject(error);
+    this.notifyWaiters();
+  }
+
+  /**
+   * Saca una petición en espera (de la cola de su pool o de las bloqueadas)
+   * y limpia sus timers y su listener de abort
+   */
+  removeWaiting(request) {
+    this.admission.remove(request);
+    this.detachSignal(request);
+  }
+
   /**
    * Procesa la cola
    * Esta función ilustra el Event Loop en acción
    */
-  async process() {
-    // Si estamos en el límite de concurrencia o no hay items, salir
-    if (this.running >= this.maxConcurrent || this.queue.length === 0) {
-      return;
-    }
+  process() {
+    // Llenar los huecos libres (con límite adaptativo puede haber más de uno)
+    // En pausa no sale nada: las peticiones esperan en cola
+    while (!this.paused && this.running < this.maxConcurrent) {
+      // La siguiente petición de un pool con hueco libre
+      const request = this.next();
+      if (!request) return;
 
-    // Encontrar la siguiente petición válida (no cancelada)
-    const requestIndex = this.queue.findIndex(r => r.status === 'queued');
-    if (requestIndex === -1) return;
+      this.execute(request);
+    }
+  }
 
-    const request = this.queue.splice(requestIndex, 1)[0];
+  /**
+   * Ejecuta una petición ocupando un hueco global y uno de su pool
+   */
+  async execute(request) {
+    const { pool } = request;
+    this.removeWaiting(request);
     this.running++;
+    pool.running++;
     request.status = 'running';
     request.startedAt = Date.now();
+    this.scheduler.record(request);
+
+    // Ha quedado sitio en la cola
+    this.admission.admitBlocked();
+    this.notifyWaiters();
+
+    // La tarea puede medir ella misma sus intentos de red (sin esperas ni backoff)
+    // Si no lo hace, la muestra es la duración completa de la tarea, solo si tuvo éxito:
+    // un error sin intento de red (serialización, circuito abierto, interceptor...) no es carga
+    let sampled = false;
+    const recordSample = (latency, error = null) => {
+      sampled = true;
+      this.recordSample(latency, error);
+    };
 
     try {
       // Ejecutar la petición
       const result = await request.fn({
         id: request.id,
-        onProgress: request.onProgress
+        onProgress: request.onProgress,
+        recordSample,
+        signal: request.signal
       });
 
       request.status = 'completed';
       request.completedAt = Date.now();
       this.stats.completed++;
+      pool.stats.completed++;
+      if (!sampled) this.recordSample(request.completedAt - request.startedAt, null);
       request.resolve(result);
 
     } catch (error) {
@@ -96,14 +353,18 @@ class RequestQueue {
 
       if (error.name === 'AbortError') {
         this.stats.cancelled++;
+        pool.stats.cancelled++;
       } else {
         this.stats.failed++;
+        pool.stats.failed++;
       }
 
       request.reject(error);
 
     } finally {
       this.running--;
+      pool.running--;
+      this.notifyWaiters();
       
       // Continuar procesando la cola
       // Usamos setImmediate (o setTimeout con 0) para ceder al Event Loop
@@ -112,22 +373,50 @@ class RequestQueue {
     }
   }
 
+  /**
+   * Elige la petición de mayor prioridad efectiva (y más antigua) entre los pools
+   * que no han llegado a su límite: un pool saturado no bloquea a los demás
+   */
+  next() {
+    const candidates = [];
+
+    this.pools.forEach(pool => {
+      if (pool.running >= pool.maxConcurrent) return;
+
+      candidates.push(...pool.queue.filter(r => r.status === 'queued'));
+    });
+
+    return this.scheduler.select(candidates);
+  }
+
+  /**
+   * Quita el listener de abort cuando la petición sale de la cola
+   */
+  detachSignal(request) {
+    if (request.signal && request.onAbort) {
+      request.signal.removeEventListener('abort', request.onAbort);
+    }
+  }
+
   /**
    * Cancela una petición específica
    */
-  cancel(requestId) {
-    const request = this.queue.find(r => r.id === requestId);
+  cancel(requestId, error = new AbortError('Request cancelled')) {
+    const request = this.queue.find(r => r.id === requestId) ||
+      this.admission.blocked.find(r => r.id === requestId);
 
-    if (request && request.status === 'queued') {
+    if (request && (request.status === 'queued' || request.status === 'blocked')) {
+      const { pool } = request;
+
+      this.removeWaiting(request);
       request.status = 'cancelled';
-      const index = this.queue.indexOf(request);
-      this.queue.splice(index, 1);
       
-      const error = new Error('Request cancelled');
-      error.name = 'AbortError';
       request.reject(error);
       
       this.stats.cancelled++;
+      pool.stats.cancelled++;
+      this.admission.admitBlocked();
+      this.notifyWaiters();
       return true;
     }
 
@@ -138,7 +427,7 @@ class RequestQueue {
    * Cancela todas las peticiones en cola (no las que están corriendo)
    */
   cancelAll() {
-    const queuedRequests = this.queue.filter(r => r.status === 'queued');
+    const queuedRequests = [...this.admission.blocked, ...this.queue.filter(r => r.status === 'queued')];
     
     queuedRequests.forEach(request => {
       this.cancel(request.id);
@@ -162,22 +451,89 @@ class RequestQueue {
     this.process();
   }
 
+  /**
+   * Nada esperando (ni en cola ni bloqueado)
+   */
+  isEmpty() {
+    return this.queue.length === 0 && this.admission.blocked.length === 0;
+  }
+
+  /**
+   * Nada esperando ni ejecutándose
+   */
+  isIdle() {
+    return this.isEmpty() && this.running === 0;
+  }
+
+  /**
+   * Promesa que se resuelve cuando la cola se vacía (puede haber peticiones ejecutándose)
+   */
+  onEmpty() {
+    if (this.isEmpty()) return Promise.resolve();
+
+    return new Promise(resolve => this.waiters.empty.push(resolve));
+  }
+
+  /**
+   * Promesa que se resuelve cuando no queda nada en cola ni ejecutándose
+   */
+  onIdle() {
+    if (this.isIdle()) return Promise.resolve();
+
+    return new Promise(resolve => this.waiters.idle.push(resolve));
+  }
+
+  /**
+   * Resuelve las promesas de onEmpty() / onIdle() cuya condición ya se cumple
+   */
+  notifyWaiters() {
+    if (this.isEmpty()) {
+      this.waiters.empty.splice(0).forEach(resolve => resolve());
+    }
+
+    if (this.isIdle()) {
+      this.waiters.idle.splice(0).forEach(resolve => resolve());
+    }
+  }
+
   /**
    * Obtiene el estado actual de la cola
    */
   getStatus() {
-    const queued = this.queue.filter(r => r.status === 'queued');
-    const running = this.queue.filter(r => r.status === 'running');
+    const now = Date.now();
+    const queued = this.scheduler.sort(this.queue.filter(r => r.status === 'queued'), now);
+    const pools = {};
+
+    // Sin bulkheads el pool por defecto es la propia cola global
+    if (this.bulkheads) {
+      this.pools.forEach(pool => {
+        pools[pool.key] = {
+          queued: pool.queue.filter(r => r.status === 'queued').length,
+          running: pool.running,
+          maxConcurrent: pool.maxConcurrent,
+          stats: { ...pool.stats }
+        };
+      });
+    }
 
     return {
       queued: queued.length,
       running: this.running,
       maxConcurrent: this.maxConcurrent,
+      paused: this.paused,
+      blocked: this.admission.blocked.length,
+      maxQueueSize: this.admission.maxQueueSize,
+      overflow: this.admission.overflow,
+      concurrency: this.concurrencyLimit ? this.concurrencyLimit.getStats() : null,
+      aging: this.scheduler.getStats(),
       stats: { ...this.stats },
+      pools,
       queuedItems: queued.map(r => ({
         id: r.id,
         priority: r.priority,
+        effectivePriority: this.scheduler.effectivePriority(r, now),
         queuedAt: r.queuedAt,
+        pool: r.pool.key,
         metadata: r.metadata
       }))
     };
@@ -194,12 +550,11 @@ class RequestQueue {
    * Limpia estadísticas
    */
   resetStats() {
-    this.stats = {
-      total: 0,
-      completed: 0,
-      failed: 0,
-      cancelled: 0
-    };
+    this.stats = this.createStats();
+    this.scheduler.reset();
+    this.pools.forEach(pool => {
+      pool.stats = this.createStats();
+    });
   }
 }
 
@@ -0,0 +1,293 @@
+/**
+ * ResponseCache - Caché de respuestas GET con TTL y stale-while-revalidate
+ *
+ * Conceptos clave:
+ * - Frescura de datos: fresh → stale → expired
+ * - Revalidación en segundo plano sin bloquear al llamador
+ * - Almacenamiento intercambiable (ver CacheStorage.js)
+ */
+
+import { MemoryStorage } from './CacheStorage.js';
+import { parseUrl } from './Urls.js';
+
+/**
+ * Hash corto (FNV-1a) para no guardar tokens en claro en las claves
+ */
+const hashString = (value) => {
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return (hash >>> 0).toString(36);
+};
+
+class ResponseCache {
+  constructor(options = {}) {
+    this.storage = options.storage || new MemoryStorage({ maxEntries: options.maxEntries });
+    this.ttl = options.ttl ?? 60000; // ms (0: revalidar siempre)
+    this.staleWhileRevalidate = options.staleWhileRevalidate || 0; // ms después de expirar
+    this.staleIfError = options.staleIfError || 0; // ms después de expirar
+    this.routes = options.routes || []; // [{ match, ttl, staleWhileRevalidate, staleIfError }]
+    this.respectCacheControl = options.respectCacheControl !== false;
+    this.invalidateOnMutation = options.invalidateOnMutation !== false;
+    this.conditional = options.conditional !== false; // ETag / Last-Modified
+    this.validatorsOnly = options.validatorsOnly || false; // guardar solo para revalidar, nunca fresco
+    this.keyFn = options.keyFn || null; // (url, { headers }) => clave
+    // Cabeceras que separan entradas de la misma URL (como dedupe.headers): otro usuario, otro idioma...
+    this.varyHeaders = (options.varyHeaders || ['accept', 'accept-language', 'authorization']).map(name => name.toLowerCase());
+    this.revalidating = new Set();
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      staleHits: 0,
+      staleIfErrorHits: 0,
+      invalidations: 0
+    };
+  }
+
+  /**
+   * Extrae el path de una URL (absoluta o relativa)
+   */
+  getPath(url) {
+    return parseUrl(url)?.pathname ?? url;
+  }
+
+  /**
+   * Busca la regla de ruta que aplica a una URL
+   */
+  findRoute(url) {
+    const path = this.getPath(url);
+
+    return this.routes.find(({ match }) => {
+      if (match instanceof RegExp) return match.test(url);
+      if (typeof match === 'function') return match(url);
+      return path.startsWith(match);
+    });
+  }
+
+  /**
+   * Clave de una petición: la URL más un hash de las cabeceras de varyHeaders que lleve
+   * y la variante (cómo se leyó el body: el mismo recurso como texto o como JSON)
+   * Las claves empiezan siempre por la URL: invalidatePrefix sigue funcionando
+   */
+  getKey(url, headers = {}, variant = null) {
+    const suffix = variant ? ` ${variant}` : '';
+
+    if (this.keyFn) return `${this.keyFn(url, { headers })}${suffix}`;
+
+    const vary = Object.keys(headers)
+      .filter(name => this.varyHeaders.includes(name.toLowerCase()) && headers[name] != null)
+      .map(name => `${name.toLowerCase()}=${headers[name]}`)
+      .sort()
+      .join('&');
+
+    return `${url}${vary ? ` #${hashString(vary)}` : ''}${suffix}`;
+  }
+
+  /**
+   * Combina las opciones: globales < ruta < petición
+   * Retorna null si la petición no es cacheable
+   */
+  resolveOptions(url, method, requestCache, { headers = {}, variant = null } = {}) {
+    if (method.toUpperCase() !== 'GET' || requestCache === false) return null;
+
+    const request = typeof requestCache === 'object' && requestCache !== null ? requestCache : {};
+
+    // Sin TTL, rutas ni ventanas stale: cada uso pasa por el servidor
+    if (this.validatorsOnly) {
+      return { key: request.key || this.getKey(url, headers, variant), ttl: null, staleWhileRevalidate: 0, staleIfError: 0, revalidate: false };
+    }
+
+    const route = this.findRoute(url) || {};
+
+    return {
+      key: request.key || this.getKey(url, headers, variant),
+      ttl: request.ttl ?? route.ttl ?? null, // null: Cache-Control o TTL global
+      staleWhileRevalidate: request.staleWhileRevalidate ?? route.staleWhileRevalidate ?? this.staleWhileRevalidate,
+      staleIfError: request.staleIfError ?? route.staleIfError ?? this.staleIfError,
+      revalidate: request.revalidate || false
+    };
+  }
+
+  /**
+   * Lee Cache-Control: max-age en ms, no-store o no-cache
+   */
+  parseCacheControl(headers) {
+    const value = headers?.get?.('cache-control');
+    if (!value) return {};
+
+    const directives = value.toLowerCase().split(',').map(d => d.trim());
+    const maxAge = directives.find(d => d.startsWith('max-age='));
+
+    return {
+      noStore: directives.includes('no-store'),
+      noCache: directives.includes('no-cache'), // guardar, pero revalidar antes de usar
+      maxAge: maxAge ? parseInt(maxAge.split('=')[1], 10) * 1000 : null
+    };
+  }
+
+  /**
+   * Busca una entrada y calcula su estado
+   * @returns {{ entry, state: 'fresh'|'stale'|'expired', age: number } | null}
+   */
+  async lookup(key) {
+    const entry = await this.storage.get(key);
+    const now = Date.now();
+
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+
+    const age = now - entry.storedAt;
+
+    if (now < entry.expiresAt) {
+      this.stats.hits++;
+      return { entry, state: 'fresh', age };
+    }
+
+    if (now < entry.staleUntil) {
+      this.stats.staleHits++;
+      return { entry, state: 'stale', age };
+    }
+
+    this.stats.misses++;
+    return { entry, state: 'expired', age };
+  }
+
+  /**
+   * Lee una entrada sin contarla en las estadísticas
+   */
+  async peek(key) {
+    return this.storage.get(key);
+  }
+
+  /**
+   * Cabeceras condicionales a partir de los validadores guardados
+   */
+  getConditionalHeaders(entry) {
+    const headers = {};
+
+    if (!this.conditional || !entry) return headers;
+
+    if (entry.etag) headers['If-None-Match'] = entry.etag;
+    if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+
+    return headers;
+  }
+
+  /**
+   * Una entrada expirada aún sirve si el refresco falla dentro de staleIfError
+   */
+  canServeStaleOnError(cached) {
+    return Boolean(cached) && Date.now() < cached.entry.staleIfErrorUntil;
+  }
+
+  /**
+   * Guarda una respuesta
+   * @param {Headers} headers - Cabeceras de la respuesta (Cache-Control, ETag, Last-Modified)
+   * @param {Object} previousEntry - Entrada anterior: conserva validadores tras un 304
+   */
+  async store(key, data, headers, options, previousEntry = null) {
+    const cacheControl = this.respectCacheControl ? this.parseCacheControl(headers) : {};
+
+    // Un TTL explícito manda sobre las cabeceras
+    if (options.ttl === null && cacheControl.noStore) return;
+
+    const etag = headers?.get?.('etag') || previousEntry?.etag || null;
+    const lastModified = headers?.get?.('last-modified') || previousEntry?.lastModified || null;
+
+    // Sin validadores no hay nada que revalidar
+    if (this.validatorsOnly && !etag && !lastModified) return;
+
+    // no-cache (y validatorsOnly): caduca al guardarse y no se sirve sin revalidar
+    const noCache = this.validatorsOnly || (options.ttl === null && cacheControl.noCache);
+    const ttl = noCache ? 0 : options.ttl ?? cacheControl.maxAge ?? this.ttl;
+    const now = Date.now();
+    const expiresAt = now + ttl;
+
+    await this.storage.set(key, {
+      data,
+      storedAt: now,
+      expiresAt,
+      staleUntil: expiresAt + (noCache ? 0 : options.staleWhileRevalidate),
+      staleIfErrorUntil: expiresAt + Math.max(options.staleIfError, options.staleWhileRevalidate),
+      etag,
+      lastModified
+    });
+  }
+
+  /**
+   * Invalida una clave concreta
+   */
+  async invalidate(key) {
+    await this.storage.delete(key);
+    this.stats.invalidations++;
+  }
+
+  /**
+   * Invalida todas las claves que empiezan por un prefijo
+   * @returns {number} Claves invalidadas
+   */
+  async invalidatePrefix(prefix) {
+    const keys = (await this.storage.keys()).filter(key => key.startsWith(prefix));
+
+    await Promise.all(keys.map(key => this.storage.delete(key)));
+    this.stats.invalidations += keys.length;
+
+    return keys.length;
+  }
+
+  /**
+   * Prefijos a invalidar tras una mutación: el recurso y su colección
+   * PUT /users/1 → /users/1 y /users
+   */
+  getMutationPrefixes(url) {
+    const [withoutQuery] = url.split('?');
+    const parent = withoutQuery.replace(/\/[^/]+\/?$/, '');
+
+    // No invalidar el host entero por mutar un recurso de primer nivel
+    return parent !== withoutQuery && this.getPath(parent).length > 1
+      ? [withoutQuery, parent]
+      : [withoutQuery];
+  }
+
+  /**
+   * Vacía la caché
+   */
+  async clear() {
+    await this.storage.clear();
+  }
+
+  /**
+   * Obtiene estadísticas de la caché
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.staleHits + this.stats.misses;
+
+    return {
+      ...this.stats,
+      hitRate: lookups > 0
+        ? Math.round(((this.stats.hits + this.stats.staleHits) / lookups) * 100)
+        : 0
+    };
+  }
+
+  /**
+   * Limpia estadísticas
+   */
+  resetStats() {
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      staleHits: 0,
+      staleIfErrorHits: 0,
+      invalidations: 0
+    };
+  }
+}
+
+export default ResponseCache;
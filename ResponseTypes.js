@@ -0,0 +1,72 @@
+/**
+ * ResponseTypes - Cómo leer el body de una respuesta
+ *
+ * Conceptos clave:
+ * - Content-Type decide el formato en modo auto
+ * - Bodies vacíos (204, HEAD, Content-Length: 0) sin que falle JSON.parse
+ * - Un body solo se puede leer una vez: stream y raw lo dejan sin leer
+ */
+
+export const RESPONSE_TYPES = ['auto', 'json', 'text', 'blob', 'arrayBuffer', 'stream', 'raw'];
+
+// Tipos que dan datos planos: se pueden cachear y compartir entre llamadores deduplicados
+export const SHAREABLE_RESPONSE_TYPES = ['auto', 'json', 'text'];
+
+/**
+ * Valida el tipo configurado
+ */
+export function resolveResponseType(type = 'auto') {
+  if (!RESPONSE_TYPES.includes(type)) {
+    throw new Error(`Unknown response type: ${type}`);
+  }
+
+  return type;
+}
+
+/**
+ * Tipo que corresponde a un Content-Type (modo auto)
+ * Sin Content-Type se intenta JSON y, si no lo es, texto
+ */
+export function detectResponseType(response) {
+  const contentType = (response.headers.get('content-type') || '').toLowerCase();
+
+  if (!contentType || /[/+]json\b/.test(contentType)) return 'json';
+
+  if (contentType.startsWith('text/') || /[/+]xml\b|javascript|x-www-form-urlencoded/.test(contentType)) {
+    return 'text';
+  }
+
+  return 'blob';
+}
+
+/**
+ * Lee el body según el tipo pedido
+ * json con body vacío retorna null; text retorna ''
+ */
+export async function parseBody(response, responseType = 'auto') {
+  if (responseType === 'raw') return response;
+  if (responseType === 'stream') return response.body;
+
+  const type = responseType === 'auto' ? detectResponseType(response) : responseType;
+
+  if (type === 'json') {
+    const text = await response.text();
+    if (text.trim() === '') return null;
+
+    // En auto sin Content-Type el body puede no ser JSON
+    if (responseType === 'auto' && !response.headers.get('content-type')) {
+      try {
+        return JSON.parse(text);
+      } catch {
+        return text;
+      }
+    }
+
+    return JSON.parse(text);
+  }
+
+  if (type === 'text') return response.text();
+  if (type === 'blob') return response.blob();
+
+  return response.arrayBuffer();
+}
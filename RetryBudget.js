@@ -0,0 +1,88 @@
+/**
+ * RetryBudget - Presupuesto de reintentos compartido por todo el wrapper
+ *
+ * Conceptos clave:
+ * - Evitar tormentas de reintentos durante una caída
+ * - Ratio de reintentos sobre peticiones recientes
+ * - Ventana deslizante de tiempo
+ */
+
+class RetryBudget {
+  constructor(options = {}) {
+    this.ratio = options.ratio ?? 0.2; // reintentos permitidos por petición
+    this.timeWindow = options.timeWindow || 10000; // ms
+    this.minRetries = options.minRetries ?? 10; // mínimo por ventana con poco tráfico
+    this.requestTimestamps = [];
+    this.retryTimestamps = [];
+    this.exhaustedCount = 0;
+  }
+
+  /**
+   * Limpia timestamps fuera de la ventana de tiempo
+   */
+  cleanOldTimestamps() {
+    const cutoff = Date.now() - this.timeWindow;
+
+    this.requestTimestamps = this.requestTimestamps.filter(t => t > cutoff);
+    this.retryTimestamps = this.retryTimestamps.filter(t => t > cutoff);
+  }
+
+  /**
+   * Reintentos permitidos en la ventana actual
+   */
+  getAllowedRetries() {
+    this.cleanOldTimestamps();
+
+    return Math.max(
+      this.minRetries,
+      Math.floor(this.requestTimestamps.length * this.ratio)
+    );
+  }
+
+  /**
+   * Registra una petición nueva (primer intento)
+   */
+  recordRequest() {
+    this.requestTimestamps.push(Date.now());
+  }
+
+  /**
+   * Intenta consumir un reintento del presupuesto
+   * @returns {boolean} false si el presupuesto está agotado
+   */
+  tryAcquire() {
+    if (this.retryTimestamps.length >= this.getAllowedRetries()) {
+      this.exhaustedCount++;
+      return false;
+    }
+
+    this.retryTimestamps.push(Date.now());
+    return true;
+  }
+
+  /**
+   * Obtiene estadísticas del presupuesto
+   */
+  getStats() {
+    const allowedRetries = this.getAllowedRetries();
+
+    return {
+      requestsInWindow: this.requestTimestamps.length,
+      retriesInWindow: this.retryTimestamps.length,
+      allowedRetries,
+      availableRetries: Math.max(0, allowedRetries - this.retryTimestamps.length),
+      exhausted: this.exhaustedCount
+    };
+  }
+
+  /**
+   * Limpia el historial y los contadores
+   */
+  reset() {
+    this.requestTimestamps = [];
+    this.retryTimestamps = [];
+    this.exhaustedCount = 0;
+  }
+}
+
+export default RetryBudget;
@@ -1,5 +1,5 @@
 /**
- * RetryManager - Gestiona reintentos automáticos con backoff exponencial
+ * RetryManager - Gestiona reintentos automáticos con estrategias de backoff
  * 
  * Conceptos clave:
  * - Async/Await para control de flujo asíncrono
@@ -7,43 +7,247 @@
  * - Promesas y manejo de errores
  */
 
-class RetryManager {
+import EventEmitter from './EventEmitter.js';
+import { AbortError } from './Errors.js';
+import { parseRetryAfter, parseRateLimitReset } from './RateLimitHeaders.js';
+
+/**
+ * Estrategias de backoff disponibles por nombre
+ * Cada una recibe el intento (0-based) y la configuración, y retorna el delay en ms
+ */
+const BACKOFF_STRATEGIES = {
+  constant: ({ initialDelay }) => initialDelay,
+
+  linear: ({ attempt, initialDelay }) => initialDelay * (attempt + 1),
+
+  // Backoff exponencial con 30% de jitter aditivo
+  exponential: ({ attempt, initialDelay, multiplier }) => {
+    const exponentialDelay = initialDelay * Math.pow(multiplier, attempt);
+    return exponentialDelay + Math.random() * 0.3 * exponentialDelay;
+  },
+
+  // Aleatorio entre 0 y el exponencial
+  'full-jitter': ({ attempt, initialDelay, multiplier, maxDelay }) => {
+    const exponentialDelay = Math.min(maxDelay, initialDelay * Math.pow(multiplier, attempt));
+    return Math.random() * exponentialDelay;
+  },
+
+  // Mitad fija y mitad aleatoria
+  'equal-jitter': ({ attempt, initialDelay, multiplier, maxDelay }) => {
+    const exponentialDelay = Math.min(maxDelay, initialDelay * Math.pow(multiplier, attempt));
+    return exponentialDelay / 2 + Math.random() * (exponentialDelay / 2);
+  },
+
+  // Aleatorio entre el delay inicial y 3 veces el delay anterior
+  'decorrelated-jitter': ({ initialDelay, previousDelay }) => {
+    const upper = (previousDelay || initialDelay) * 3;
+    return initialDelay + Math.random() * (upper - initialDelay);
+  }
+};
+
+/**
+ * Códigos de error de red (Node y undici) que indican un fallo de conexión
+ */
+const NETWORK_ERROR_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT',
+  'EPIPE', 'ENETUNREACH', 'EHOSTUNREACH', 'UND_ERR_SOCKET'
+];
+
+class RetryManager extends EventEmitter {
   constructor(options = {}) {
+    super();
+
     this.maxRetries = options.maxRetries || 3;
     this.initialDelay = options.initialDelay || 1000; // ms
     this.maxDelay = options.maxDelay || 30000; // ms
     this.backoffMultiplier = options.backoffMultiplier || 2;
+    this.backoff = options.backoff || 'exponential'; // nombre o (attempt, error, context) => delay
     this.retryableErrors = options.retryableErrors || [408, 429, 500, 502, 503, 504];
+    this.retryOn = options.retryOn || ['network', 'timeout', 'http-status'];
+    this.shouldRetry = options.shouldRetry || null; // (error, attempt, context) => boolean
+    this.respectRetryAfter = options.respectRetryAfter !== false;
+    this.giveUpOnLongRetryAfter = options.giveUpOnLongRetryAfter || false;
+    this.maxRetryTime = options.maxRetryTime || null; // presupuesto total en ms
+    this.retryBudget = options.retryBudget || null; // RetryBudget compartido
+  }
+
+  /**
+   * Calcula el delay con la estrategia de backoff elegida
+   * @param {number} attemptNumber - Intento que acaba de fallar (0-based)
+   * @param {Object} options - error, context, backoff y previousDelay
+   */
+  calculateDelay(attemptNumber, options = {}) {
+    const {
+      error = null,
+      context = {},
+      backoff = this.backoff,
+      previousDelay = null
+    } = options;
+
+    let delay;
+
+    if (typeof backoff === 'function') {
+      delay = backoff(attemptNumber, error, {
+        ...context,
+        previousDelay,
+        initialDelay: this.initialDelay,
+        maxDelay: this.maxDelay
+      });
+    } else {
+      const strategy = BACKOFF_STRATEGIES[backoff];
+
+      if (!strategy) {
+        throw new Error(`Unknown backoff strategy: ${backoff}`);
+      }
+
+      delay = strategy({
+        attempt: attemptNumber,
+        initialDelay: this.initialDelay,
+        multiplier: this.backoffMultiplier,
+        maxDelay: this.maxDelay,
+        previousDelay
+      });
+    }
+
+    return Math.min(Math.max(0, delay), this.maxDelay);
   }
 
   /**
-   * Calcula el delay con backoff exponencial
+   * Convierte Retry-After (delta-seconds o HTTP-date) a milisegundos
    */
-  calculateDelay(attemptNumber) {
-    const exponentialDelay = this.initialDelay * Math.pow(this.backoffMultiplier, attemptNumber);
-    const jitter = Math.random() * 0.3 * exponentialDelay; // 30% jitter
-    return Math.min(exponentialDelay + jitter, this.maxDelay);
+  parseRetryAfter(value) {
+    return parseRetryAfter(value);
   }
 
   /**
-   * Determina si un error es reintentable
+   * Convierte RateLimit-Reset / X-RateLimit-Reset a milisegundos
    */
-  isRetryable(error) {
-    if (error.aborted) return false; // No reintentar si fue cancelado
-    
+  parseRateLimitReset(value) {
+    return parseRateLimitReset(value);
+  }
+
+  /**
+   * Lee cuánto pide esperar el servidor en una respuesta 429 o 503
+   * Retorna null si no hay cabecera utilizable
+   */
+  getServerDelay(error) {
+    const status = error.status || error.response?.status;
+    const headers = error.response?.headers;
+
+    if (!this.respectRetryAfter || !headers?.get || ![429, 503].includes(status)) {
+      return null;
+    }
+
+    const retryAfter = headers.get('retry-after');
+    if (retryAfter) {
+      const delay = this.parseRetryAfter(retryAfter);
+      if (delay !== null) return { delay, source: 'retry-after' };
+    }
+
+    const reset = headers.get('ratelimit-reset') || headers.get('x-ratelimit-reset');
+    if (reset) {
+      const delay = this.parseRateLimitReset(reset);
+      if (delay !== null) return { delay, source: 'ratelimit-reset' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Decide el delay del siguiente intento y de dónde sale
+   * @param {Object} options - startedAt más las opciones de calculateDelay
+   * @returns {{ delay: number, source: string, requested: number, exceedsBudget: boolean }}
+   */
+  getRetryDelay(attemptNumber, error, options = {}) {
+    const { startedAt = Date.now(), ...backoffOptions } = options;
+    const serverDelay = this.getServerDelay(error);
+
+    if (!serverDelay) {
+      const delay = this.calculateDelay(attemptNumber, { ...backoffOptions, error });
+      return { delay, source: 'backoff', requested: delay, exceedsBudget: false };
+    }
+
+    // Lo que queda del presupuesto: el tiempo total restante o, si no hay, maxDelay
+    const budget = this.maxRetryTime
+      ? Math.min(this.maxDelay, this.maxRetryTime - (Date.now() - startedAt))
+      : this.maxDelay;
+
+    return {
+      delay: Math.min(serverDelay.delay, this.maxDelay),
+      source: serverDelay.source,
+      requested: serverDelay.delay,
+      exceedsBudget: serverDelay.delay > budget
+    };
+  }
+
+  /**
+   * Clasifica un error: aborted, timeout, http-status, network o unknown
+   */
+  classifyError(error) {
+    if (error.aborted || error.name === 'AbortError') return 'aborted';
+    if (error.name === 'TimeoutError') return 'timeout';
+
     const status = error.status || error.response?.status;
-    return this.retryableErrors.includes(status);
+    if (status) return 'http-status';
+
+    // fetch lanza TypeError ante DNS, conexión rechazada o reseteada
+    const code = error.code || error.cause?.code;
+    if (error.name === 'TypeError' || NETWORK_ERROR_CODES.includes(code)) {
+      return 'network';
+    }
+
+    return 'unknown';
+  }
+
+  /**
+   * Determina si un error es reintentable
+   * Un predicado shouldRetry que retorne true/false tiene la última palabra;
+   * si retorna otra cosa se usa la clasificación por defecto
+   */
+  async isRetryable(error, attempt = 0, context = {}, shouldRetry = this.shouldRetry) {
+    const category = this.classifyError(error);
+
+    if (category === 'aborted') return false; // No reintentar si fue cancelado
+
+    if (shouldRetry) {
+      const decision = await shouldRetry(error, attempt, { ...context, category });
+      if (typeof decision === 'boolean') return decision;
+    }
+
+    if (!this.retryOn.includes(category)) return false;
+
+    if (category === 'http-status') {
+      const status = error.status || error.response?.status;
+      return this.retryableErrors.includes(status);
+    }
+
+    return true;
   }
 
   /**
    * Ejecuta una función con reintentos automáticos
    * @param {Function} fn - Función asíncrona a ejecutar
    * @param {Object} context - Contexto adicional para logging
+   * @param {Object} options - Opciones (signal, backoff, onRetry, shouldRetry)
    */
-  async executeWithRetry(fn, context = {}) {
+  async executeWithRetry(fn, context = {}, options = {}) {
+    const {
+      signal = null,
+      backoff = this.backoff,
+      onRetry = null,
+      shouldRetry = this.shouldRetry
+    } = options;
+    const startedAt = Date.now();
+    let previousDelay = null;
     let lastError;
+
+    this.retryBudget?.recordRequest();
     
     for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      if (signal?.aborted) {
+        throw AbortError.fromSignal(signal);
+      }
+
       try {
         // Intento de ejecución
         const result = await fn(attempt);
@@ -59,21 +263,61 @@ class RetryManager {
         lastError = error;
         
         // Si no es reintentable o es el último intento, lanzar error
-        if (!this.isRetryable(error) || attempt === this.maxRetries) {
+        if (attempt === this.maxRetries || !(await this.isRetryable(error, attempt, context, shouldRetry))) {
           console.error(`❌ Error final después de ${attempt} intentos:`, error.message);
           throw error;
         }
         
-        // Calcular delay y esperar antes del siguiente intento
-        const delay = this.calculateDelay(attempt);
+        // Calcular delay (backoff o lo que pida el servidor)
+        const { delay, source, requested, exceedsBudget } = this.getRetryDelay(attempt, error, {
+          startedAt,
+          context,
+          backoff,
+          previousDelay
+        });
+        previousDelay = delay;
+
+        // El servidor pide esperar más de lo que podemos permitirnos
+        if (exceedsBudget && this.giveUpOnLongRetryAfter) {
+          console.error(`❌ El servidor pide esperar ${Math.round(requested)}ms, abandonando`);
+          error.retryAfter = requested;
+          throw error;
+        }
+
+        // Durante una caída el presupuesto global corta los reintentos
+        if (this.retryBudget && !this.retryBudget.tryAcquire()) {
+          console.error('❌ Presupuesto de reintentos agotado, sin reintentar');
+          error.retryBudgetExhausted = true;
+          this.emit('budget:exhausted', {
+            ...context,
+            attempt: attempt + 1,
+            error: error.message
+          });
+          throw error;
+        }
+
         console.warn(
           `⚠️ Intento ${attempt + 1}/${this.maxRetries + 1} falló. ` +
-          `Reintentando en ${Math.round(delay)}ms...`,
+          `Reintentando en ${Math.round(delay)}ms (${source})...`,
           { error: error.message, ...context }
         );
+
+        this.emit('retry', {
+          ...context,
+          attempt: attempt + 1,
+          delay: Math.round(delay),
+          delaySource: source,
+          category: this.classifyError(error),
+          error: error.message
+        });
         
         // Esperar antes del siguiente intento
-        await this.sleep(delay);
+        await this.sleep(delay, signal);
+
+        // Hook para modificar la petición antes del siguiente intento
+        if (onRetry) {
+          await onRetry(error, attempt + 1);
+        }
       }
     }
     
@@ -82,9 +326,27 @@ class RetryManager {
 
   /**
    * Utilidad para crear delays
+   * Si se pasa un signal, la espera se interrumpe al abortar
    */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(AbortError.fromSignal(signal));
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timeoutId);
+        reject(AbortError.fromSignal(signal));
+      };
+
+      const timeoutId = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
 }
 
@@ -7,6 +7,8 @@
  * - Manejo de cancelaciones
  */
 
+import { AbortError } from './Errors.js';
+
 class TimeoutController {
   constructor(defaultTimeout = 10000) {
     this.defaultTimeout = defaultTimeout;
@@ -38,13 +40,14 @@ class TimeoutController {
 
   /**
    * Cancela una petición específica
+   * La petición rechaza con AbortError (no con TimeoutError)
    */
-  abort(requestId) {
+  abort(requestId, reason = 'Request cancelled') {
     const request = this.activeRequests.get(requestId);
     
     if (request) {
       clearTimeout(request.timeoutId);
-      request.controller.abort();
+      request.controller.abort(new AbortError(reason));
       this.activeRequests.delete(requestId);
       console.log(`🛑 Request ${requestId} cancelado manualmente`);
       return true;
@@ -61,7 +64,7 @@ class TimeoutController {
     
     this.activeRequests.forEach((request, id) => {
       clearTimeout(request.timeoutId);
-      request.controller.abort();
+      request.controller.abort(new AbortError('Request cancelled'));
     });
     
     this.activeRequests.clear();
@@ -82,9 +85,21 @@ class TimeoutController {
   /**
    * Ejecuta una petición con timeout
    * Usa Promise.race() para competir entre la petición y el timeout
+   * @param {Function} fetchPromise - Recibe el AbortSignal interno
+   * @param {number} timeout - Timeout en ms
+   * @param {AbortSignal} signal - Signal opcional del llamador
+   * @param {string} requestId - Id opcional para poder cancelarla con abort(id)
    */
-  async executeWithTimeout(fetchPromise, timeout = this.defaultTimeout) {
-    const { controller, id } = this.createWithTimeout(timeout);
+  async executeWithTimeout(fetchPromise, timeout = this.defaultTimeout, signal = null, requestId = null) {
+    if (signal?.aborted) {
+      throw AbortError.fromSignal(signal);
+    }
+
+    const { controller, id } = this.createWithTimeout(timeout, requestId);
+
+    // Propagar la cancelación del llamador al controller interno
+    const onAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
     
     try {
       // Promise.race: la primera promesa que se resuelva/rechace gana
@@ -93,12 +108,18 @@ class TimeoutController {
         this.createTimeoutPromise(timeout)
       ]);
       
-      this.cleanup(id);
       return result;
       
     } catch (error) {
-      this.cleanup(id);
-      
+      if (signal?.aborted) {
+        throw AbortError.fromSignal(signal);
+      }
+
+      // Cancelada con abort(id) o abortAll()
+      if (controller.signal.reason instanceof AbortError) {
+        throw controller.signal.reason;
+      }
+
       if (error.name === 'AbortError' || error.name === 'TimeoutError') {
         const timeoutError = new Error(`Request timeout after ${timeout}ms`);
         timeoutError.name = 'TimeoutError';
@@ -107,6 +128,10 @@ class TimeoutController {
       }
       
       throw error;
+
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+      this.cleanup(id);
     }
   }
 
@@ -0,0 +1,25 @@
+/**
+ * Urls - Lectura de URLs absolutas o relativas
+ *
+ * Conceptos clave:
+ * - Las URLs relativas se resuelven contra la página (o localhost fuera del navegador)
+ * - Una URL inválida no lanza: retorna null y cada llamador decide qué hacer
+ */
+
+/**
+ * URL parseada, null si no es válida
+ */
+export function parseUrl(url) {
+  try {
+    return new URL(url, globalThis.location?.href || 'http://localhost');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Host de una URL ('api.example.com:8080'), null si no es válida
+ */
+export function getHost(url) {
+  return parseUrl(url)?.host ?? null;
+}
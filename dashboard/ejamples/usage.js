@@ -311,17 +311,21 @@ async function promiseAnyExample() {
 // ============================================================================
 
 /**
- * Cancelar una petición individual
+ * Cancelar una petición individual con AbortController
+ * El signal cancela la petición esté donde esté: en cola, en el rate limiter,
+ * en vuelo o esperando entre reintentos. El resto de peticiones sigue su curso.
  */
 async function abortSingleRequestExample() {
-  // El wrapper maneja AbortController internamente
+  const controller = new AbortController();
+
   const requestPromise = api.get('/large-file', {
+    signal: controller.signal,
     metadata: { requestId: 'download-1' }
   });
   
   // Cancelar después de 2 segundos
   setTimeout(() => {
-    api.timeoutController.abortAll();
+    controller.abort('El usuario cerró la descarga');
     console.log('🛑 Petición cancelada');
   }, 2000);
   
@@ -329,7 +333,7 @@ async function abortSingleRequestExample() {
     await requestPromise;
   } catch (error) {
     if (error.name === 'AbortError') {
-      console.log('✅ Petición cancelada correctamente');
+      console.log('✅ Petición cancelada correctamente:', error.reason);
     }
   }
 }
@@ -490,27 +494,32 @@ async function loadUserDashboard(userId) {
 class SearchManager {
   constructor(api) {
     this.api = api;
-    this.currentSearch = null;
+    this.controller = null;
   }
   
   async search(query) {
-    // Cancelar búsqueda anterior si existe
-    if (this.currentSearch) {
-      this.api.cancelAll();
+    // Cancelar solo la búsqueda anterior, no el resto de peticiones
+    if (this.controller) {
+      this.controller.abort();
     }
     
     if (!query || query.length < 3) {
       return [];
     }
     
+    const controller = new AbortController();
+    this.controller = controller;
+
     try {
-      this.currentSearch = this.api.get('/search', {
+      const results = await this.api.get('/search', {
         priority: 8,
+        signal: controller.signal,
         metadata: { query, type: 'search' }
       });
       
-      const results = await this.currentSearch;
-      this.currentSearch = null;
+      if (this.controller === controller) {
+        this.controller = null;
+      }
       
       return results;
       